@@ -0,0 +1,277 @@
+import { RateLimitRedis } from './rate_limit_redis.mjs';
+import { headerMode, getHeaders } from './headers.mjs';
+
+/**
+Framework adapters built on `RateLimitRedis.process()`. Each adapter takes the
+`RateLimitRedis` options plus the middleware options below and sets headers
+and rejects rate limited requests the way its framework does.
+
+@module adapters
+*/
+
+/**
+Parse the options shared by every middleware.
+
+@method middlewareOptions
+@param {Object} options Middleware options.
+@param {Boolean|String} options.headers Rate limit headers to set: `legacy` (same as `true`), `draft-6`, `draft-8` or `false` for none (default: true).
+@param {String|Object} options.message Response body sent with a 429; objects are sent as JSON (default: 'Too Many Requests').
+@param {Function} options.handler Custom handler called instead of sending `message`.
+@param {Boolean} options.passThrough Only set the status on a 429 or 403 instead of ending the request (default: false).
+@return {Object} `{ mode, message, handler, passThrough }`
+*/
+function middlewareOptions (options = {}) {
+
+	const {
+		message = 'Too Many Requests',
+		handler,
+		passThrough = false,
+	} = options;
+
+	if (handler != null && typeof handler !== 'function') {
+		throw new Error('Invalid handler: expected a function');
+	}
+
+	return {
+		mode: headerMode(options.headers),
+		message,
+		handler,
+		passThrough,
+	};
+
+}
+
+/**
+Whether a message should be sent as JSON.
+
+@method isJsonMessage
+@param {String|Object} message
+@return {Boolean}
+@private
+*/
+function isJsonMessage (message) {
+
+	return message !== null && typeof message === 'object';
+
+}
+
+/**
+Whether a result rejects the request: rate limited (429) or blacklisted
+(403).
+
+@method isRejected
+@param {Object} result The `process()` result.
+@return {Boolean}
+*/
+function isRejected (result) {
+
+	return result.status === 429 || result.status === 403;
+
+}
+
+/**
+Response body of a rejected request: `message` when rate limited, the
+result's error message when blacklisted with a 403.
+
+@method rejectionMessage
+@param {Object} result The `process()` result.
+@param {String|Object} message
+@return {String|Object}
+*/
+function rejectionMessage (result, message) {
+
+	return result.status === 429 ? message : result.error.message;
+
+}
+
+/**
+Koa middleware.
+
+@method koaRateLimit
+@param {Object} options `RateLimitRedis` and middleware options. `handler` is called as `handler(ctx, next, result)`.
+@return {Function} Koa middleware with the limiter attached as `rateLimitRedis`
+@example
+	app.use( koaRateLimit({ limit: 100, timeframe: 60 }) );
+*/
+function koaRateLimit (options) {
+
+	const { mode, message, handler, passThrough } = middlewareOptions(options);
+	const limiter = new RateLimitRedis(options);
+
+	const middleware = async function (ctx, next) {
+
+		const result = await limiter.process(ctx);
+
+		ctx.set( getHeaders(result, mode) );
+
+		if ( !isRejected(result) ) {
+			return next();
+		}
+
+		if (passThrough) {
+			ctx.status = result.status;
+			return next();
+		}
+
+		if (handler) {
+			return handler(ctx, next, result);
+		}
+
+		ctx.status = result.status;
+
+		const body = rejectionMessage(result, message);
+
+		if (isJsonMessage(body)) {
+			ctx.body = body;
+		} else {
+			ctx.type = 'text/plain';
+			ctx.body = String(body);
+		}
+
+	};
+
+	middleware.rateLimitRedis = limiter;
+
+	return middleware;
+
+}
+
+/**
+Fastify plugin adding an `onRequest` hook. The limiter is available as
+`fastify.rateLimitRedis` and disconnected when the server closes.
+
+@method fastifyRateLimit
+@param {Object} fastify Fastify instance.
+@param {Object} options `RateLimitRedis` and middleware options. `handler` is called as `handler(request, reply, result)`.
+@async
+@example
+	fastify.register(fastifyRateLimit, { limit: 100, timeframe: 60 });
+*/
+async function fastifyRateLimit (fastify, options) {
+
+	const { mode, message, handler, passThrough } = middlewareOptions(options);
+	const limiter = new RateLimitRedis(options);
+
+	fastify.decorate('rateLimitRedis', limiter);
+
+	fastify.addHook('onRequest', async function (request, reply) {
+
+		const result = await limiter.process(request);
+
+		reply.headers( getHeaders(result, mode) );
+
+		if ( !isRejected(result) ) {
+			return;
+		}
+
+		if (passThrough) {
+			reply.code(result.status);
+			return;
+		}
+
+		if (handler) {
+			await handler(request, reply, result);
+			return reply;
+		}
+
+		reply.code(result.status);
+
+		const body = rejectionMessage(result, message);
+
+		if (isJsonMessage(body)) {
+			reply.send(body);
+		} else {
+			reply.type('text/plain').send(String(body));
+		}
+
+		return reply;
+
+	});
+
+	fastify.addHook('onClose', async function () {
+
+		if (limiter.store.isOpen) {
+			await limiter.disconnect();
+		}
+
+	});
+
+}
+
+// apply the hook to the whole application rather than an encapsulated context
+// (what `fastify-plugin` does)
+fastifyRateLimit[Symbol.for('skip-override')] = true;
+fastifyRateLimit[Symbol.for('fastify.display-name')] = 'rate-limit-redis';
+
+/**
+Rate limit helper for a plain `node:http` server. The returned function
+resolves to `true` when the request may proceed and to `false` once a rate
+limited request has been responded to. `req.ip` defaults to the socket's
+remote address.
+
+@method httpRateLimit
+@param {Object} options `RateLimitRedis` and middleware options. `handler` is called as `handler(req, res, result)`.
+@return {Function} `async (req, res) => Boolean` with the limiter attached as `rateLimitRedis`
+@example
+	const limit = httpRateLimit({ limit: 100, timeframe: 60 });
+
+	http.createServer(async (req, res) => {
+		if ( !(await limit(req, res)) ) {
+			return;
+		}
+		res.end('OK');
+	});
+*/
+function httpRateLimit (options) {
+
+	const { mode, message, handler, passThrough } = middlewareOptions(options);
+	const limiter = new RateLimitRedis(options);
+
+	const rateLimit = async function (req, res) {
+
+		if (req.ip == null && req.socket) {
+			req.ip = req.socket.remoteAddress;
+		}
+
+		const result = await limiter.process(req);
+		const headers = getHeaders(result, mode);
+
+		Object.keys(headers).forEach( (name) => res.setHeader(name, headers[name]) );
+
+		if ( !isRejected(result) ) {
+			return true;
+		}
+
+		if (passThrough) {
+			res.statusCode = result.status;
+			return true;
+		}
+
+		if (handler) {
+			await handler(req, res, result);
+			return false;
+		}
+
+		res.statusCode = result.status;
+
+		const body = rejectionMessage(result, message);
+
+		if (isJsonMessage(body)) {
+			res.setHeader('Content-Type', 'application/json; charset=utf-8');
+			res.end( JSON.stringify(body) );
+		} else {
+			res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+			res.end( String(body) );
+		}
+
+		return false;
+
+	};
+
+	rateLimit.rateLimitRedis = limiter;
+
+	return rateLimit;
+
+}
+
+export { middlewareOptions, isRejected, rejectionMessage, koaRateLimit, fastifyRateLimit, httpRateLimit };
@@ -0,0 +1,519 @@
+import { ipPrefix } from './ip.mjs';
+import { requestPath } from './routes.mjs';
+
+// keys peeked at once when listing the top consumers
+const PEEK_BATCH = 100;
+
+// identities with the most requests considered for each listed consumer
+const CANDIDATES = 10;
+
+/**
+Administration of a `RateLimitRedis` instance: inspect, reset, block and
+unblock the rate limits of an identity and list the top consumers. The store
+must support `keys()` to reset identities and list consumers, which
+`RedisStore` does with SCAN (except on a Redis Cluster) and `MemoryStore`
+with its own entries.
+
+@class RateLimitAdmin
+@param {RateLimitRedis} limiter
+@example
+	const limiter = rateLimitRedis(options);
+	const admin = new RateLimitAdmin(limiter.rateLimitRedis);
+
+	await admin.status('192.168.1.1', { url: '/login', method: 'post' });
+	await admin.resetIdentity('192.168.1.1');
+*/
+class RateLimitAdmin {
+
+	constructor(limiter) {
+
+		if (!limiter || !limiter.store) {
+			throw new Error('Invalid limiter');
+		}
+
+		this.limiter = limiter;
+
+	}
+
+	/**
+	State of the rate limit of an identity for a route, without consuming
+	anything. `status` is 429 when its next request would be rejected.
+
+	@method status
+	@param {String} identity An IP address or the value of a key generator.
+	@param {Object|String} route Request-like object with a `url` and `method`, or a `GET` url (default: the default rule).
+	@async
+	@return {Promise<Object>} `{ identity, key }` with the result of `RateLimitRedis.get()`, or `{ identity, ignored: true }` for an ignored route
+	*/
+	async status (identity, route) {
+
+		await this.limiter._startRules();
+
+		const { key, matched } = this._identityKey(identity, route);
+		const rule = this.limiter._routeRule(matched);
+
+		if (matched && matched.route.ignore) {
+			return { identity, ignored: true };
+		}
+
+		const result = await this.limiter._consume(key, rule, { cost: 1, mode: 'peek' });
+
+		return { identity, key, ...result };
+
+	}
+
+	/**
+	Delete every key of an identity: the default rule and every custom route,
+	including their blocks and violations.
+
+	@method resetIdentity
+	@param {String} identity
+	@async
+	@return {Promise<Number>} The number of deleted keys
+	*/
+	async resetIdentity (identity) {
+
+		const { key } = this._identityKey(identity);
+		const pattern = escapeGlob(key);
+
+		const found = await Promise.all([
+			this._keys(pattern),
+			this._keys(`${pattern}:*`),
+			this._keys(`{${pattern}}:*`),
+			this._keys(`{${pattern}:*}:*`),
+		]);
+
+		// `<key>:*` also matches the identities starting with this one
+		const keys = [].concat(...found).filter( (candidate) => {
+			const base = this._baseKey(candidate);
+			return base === key || isRouteKey(base, key);
+		});
+
+		let deleted = 0;
+
+		for ( const candidate of new Set(keys) ) {
+			if ( await this.limiter.store.reset(candidate) ) {
+				deleted++;
+			}
+		}
+
+		return deleted;
+
+	}
+
+	/**
+	Block an identity: its requests are rejected until the block expires.
+
+	@method block
+	@param {String} identity
+	@param {Number} seconds Duration of the block.
+	@param {Object|String} route The route to block, see `status()` (default: the default rule).
+	@async
+	@return {Promise<Object>} `{ identity, key, seconds }`
+	*/
+	async block (identity, seconds, route) {
+
+		if ( !(seconds > 0) ) {
+			throw new Error(`Invalid block duration: ${seconds}`);
+		}
+
+		await this.limiter._startRules();
+
+		const { key } = this._identityKey(identity, route);
+
+		await this.limiter._connectStore();
+		await this.limiter.store.set(this.limiter._blockKey(key), 1, seconds);
+
+		return { identity, key, seconds };
+
+	}
+
+	/**
+	Lift the block of an identity and forget its violations, so the next
+	block starts again from the first `blockDuration`.
+
+	@method unblock
+	@param {String} identity
+	@param {Object|String} route The route to unblock, see `status()` (default: the default rule).
+	@async
+	@return {Promise<Object>} `{ identity, key, unblocked }` where `unblocked` is whether it was blocked
+	*/
+	async unblock (identity, route) {
+
+		await this.limiter._startRules();
+
+		const { key } = this._identityKey(identity, route);
+
+		await this.limiter._connectStore();
+
+		const unblocked = await this.limiter.store.reset( this.limiter._blockKey(key) );
+
+		await this.limiter.store.reset( this.limiter._violationsKey(key) );
+
+		return { identity, key, unblocked };
+
+	}
+
+	/**
+	The identities that used the largest share of their rate limits. With
+	analytics enabled, the candidates are the identities with the most
+	requests over the longest window of the rules, otherwise every key of the
+	namespace is scanned, and keys which don't belong to a custom route, such
+	as the keys of `consume()`, are reported with the default rule. Keys which
+	can't be read are skipped.
+
+	@method listTopConsumers
+	@param {Number} n The number of consumers (default: 10).
+	@async
+	@return {Promise<[Object]>} `{ identity, key, rule, used, limit, remaining, blocked }` sorted by most used first
+	*/
+	async listTopConsumers (n = 10) {
+
+		if ( !Number.isInteger(n) || n < 1 ) {
+			throw new Error(`Invalid number of consumers: ${n}`);
+		}
+
+		await this.limiter._startRules();
+
+		const candidates = this.limiter.analytics ? await this._activeKeys(n * CANDIDATES) : await this._scannedKeys();
+		const consumers = [];
+
+		for (let i = 0; i < candidates.length; i += PEEK_BATCH) {
+
+			const peeked = await Promise.all( candidates.slice(i, i + PEEK_BATCH).map( (candidate) => this._peek(candidate) ) );
+
+			consumers.push( ...peeked.filter( (consumer) => consumer && (consumer.used > 0 || consumer.blocked) ) );
+
+		}
+
+		return consumers
+			.sort( (a, b) => b.used / b.limit - a.used / a.limit || b.used - a.used )
+			.slice(0, n);
+
+	}
+
+	/**
+	Request handler exposing the admin methods as a JSON API, mountable on an
+	Express app or router. Every request must pass the `authorize` check.
+
+	- `GET /status/:identity?url=&method=`
+	- `DELETE /identities/:identity`
+	- `POST /blocks/:identity?seconds=&url=&method=`
+	- `DELETE /blocks/:identity?url=&method=`
+	- `GET /top?n=`
+
+	@method router
+	@param {Object} options
+	@param {Function} options.authorize Function `(req) => Boolean|Promise<Boolean>` allowing a request (required).
+	@return {Function} `(req, res, next) => void`
+	@example
+		app.use('/admin/rate-limit', admin.router({
+			authorize: (req) => req.get('authorization') === `Bearer ${process.env.ADMIN_TOKEN}`,
+		}));
+	*/
+	router (options = {}) {
+
+		const { authorize } = options;
+
+		if (typeof authorize !== 'function') {
+			throw new Error('Invalid authorize function');
+		}
+
+		const routes = [
+			['GET', /^\/status\/([^/]+)$/, (identity, query) => this.status(identity, queryRoute(query))],
+			['DELETE', /^\/identities\/([^/]+)$/, async (identity) => {
+				return { identity, deleted: await this.resetIdentity(identity) };
+			}],
+			['POST', /^\/blocks\/([^/]+)$/, (identity, query) => {
+				return this.block(identity, Number(query.get('seconds')), queryRoute(query));
+			}],
+			['DELETE', /^\/blocks\/([^/]+)$/, (identity, query) => this.unblock(identity, queryRoute(query))],
+			['GET', /^\/top$/, async (identity, query) => {
+				return { consumers: await this.listTopConsumers( query.has('n') ? Number(query.get('n')) : undefined ) };
+			}],
+		];
+
+		return (req, res, next = () => send(res, 404, { error: 'Not Found' }) ) => {
+
+			const path = requestPath(req);
+			const query = new URL(req.url || '/', 'http://localhost').searchParams;
+			let params;
+
+			const route = routes.find( ([method, pattern]) => {
+				params = method === req.method && pattern.exec(path);
+				return params;
+			});
+
+			if (!route) {
+				return next();
+			}
+
+			Promise.resolve( authorize(req) )
+				.then( async (authorized) => {
+
+					if (!authorized) {
+						return send(res, 401, { error: 'Unauthorized' });
+					}
+
+					const identity = params[1] && decodeURIComponent(params[1]);
+
+					send( res, 200, await route[2](identity, query) );
+
+				})
+				.catch( (err) => {
+
+					// the admin methods' input errors
+					if ( /^Invalid /.test(err.message) ) {
+						return send(res, 400, { error: err.message });
+					}
+
+					next(err);
+
+				});
+
+		};
+
+	}
+
+	/**
+	Rate limit key of an identity and the custom route it is matched with.
+
+	@method _identityKey
+	@param {String} identity
+	@param {Object|String} route
+	@return {Object} `{ key, matched }`
+	@private
+	*/
+	_identityKey (identity, route) {
+
+		if (identity == null || identity === '') {
+			throw new Error('Invalid identity');
+		}
+
+		const request = typeof route === 'string' ? { url: route, method: 'get' } : route;
+		const matched = request ? this.limiter._matchRoute(request) : undefined;
+
+		// keyed like the requests of this ip
+		const key = this.limiter.getKey( ipPrefix(String(identity), this.limiter.ipv6Subnet), matched && matched.name );
+
+		return { key, matched };
+
+	}
+
+	/**
+	Rate limit key owning a key: the key of a window of several limits, a
+	block or violations key is in the hash tag.
+
+	@method _baseKey
+	@param {String} key
+	@return {String}
+	@private
+	*/
+	_baseKey (key) {
+
+		const end = key.lastIndexOf('}:');
+
+		return key.startsWith('{') && end !== -1 ? key.slice(1, end) : key;
+
+	}
+
+	/**
+	Rate limit keys of the identities with the most requests, for the default
+	rule and every custom route.
+
+	@method _activeKeys
+	@param {Number} count The number of identities.
+	@async
+	@return {Promise<[Object]>} `{ identity, key, matched }`
+	@private
+	*/
+	async _activeKeys (count) {
+
+		const routes = [undefined].concat( this.limiter._routes.filter( (route) => !route.route.ignore ) );
+
+		// the requests still counted by the longest window
+		const timeframes = [].concat( ...routes.map( (route) => {
+			const rule = this.limiter._routeRule(route);
+			return (rule.limits || [rule]).map( (window) => window.timeframe );
+		}) );
+
+		const top = await this.limiter.topOffenders({
+			metric: 'requests',
+			period: Math.min( Math.max(...timeframes), this.limiter.analytics.retention ),
+			count,
+		});
+
+		return [].concat( ...top.map( ({ identity }) => routes.map( (matched) => {
+			return { identity, key: this.limiter.getKey(identity, matched && matched.name), matched };
+		}) ) );
+
+	}
+
+	/**
+	Rate limit keys found in the namespace.
+
+	@method _scannedKeys
+	@async
+	@return {Promise<[Object]>} `{ identity, key, matched }`
+	@private
+	*/
+	async _scannedKeys () {
+
+		const namespace = this.limiter.namespace;
+		const prefix = namespace && namespace.length ? `${namespace}:` : '';
+		const ignored = [
+			this.limiter.rules && this.limiter.rules.key,
+			this.limiter.analytics && this.limiter.analytics.key,
+		];
+
+		const found = await Promise.all([
+			this._keys(`${escapeGlob(prefix)}*`),
+			this._keys(`{${escapeGlob(prefix)}*}:*`),
+		]);
+
+		const keys = new Set();
+
+		[].concat(...found).forEach( (key) => {
+
+			const base = this._baseKey(key);
+
+			if ( !ignored.includes(base) && base.startsWith(prefix) && base.length > prefix.length ) {
+				keys.add(base);
+			}
+
+		});
+
+		return Array.from(keys).map( (key) => {
+
+			const rest = key.slice(prefix.length);
+			const matched = this.limiter._routes.find( (route) => rest.endsWith(`:${route.name}`) );
+
+			return { identity: matched ? rest.slice(0, -matched.name.length - 1) : rest, key, matched };
+
+		});
+
+	}
+
+	/**
+	Usage of a rate limit key, or nothing when it can't be read, e.g. a key of
+	`consume()` evaluated with another algorithm.
+
+	@method _peek
+	@param {Object} candidate `{ identity, key, matched }`
+	@async
+	@return {Promise<Object>}
+	@private
+	*/
+	async _peek ({ identity, key, matched }) {
+
+		const rule = this.limiter._routeRule(matched);
+		let result;
+
+		try {
+			result = await this.limiter._consume(key, rule, { cost: 1, mode: 'peek' });
+		} catch (err) {
+			return;
+		}
+
+		if (result.degraded || result.limit == null) {
+			return;
+		}
+
+		return {
+			identity,
+			key,
+			rule: rule.policy,
+			used: result.limit - result.remaining,
+			limit: result.limit,
+			remaining: result.remaining,
+			blocked: Boolean(result.blocked),
+		};
+
+	}
+
+	/**
+	@method _keys
+	@param {String} pattern
+	@async
+	@return {Promise<[String]>}
+	@private
+	*/
+	async _keys (pattern) {
+
+		const store = this.limiter.store;
+
+		if (typeof store.keys !== 'function') {
+			throw new Error('The store does not support listing keys');
+		}
+
+		await this.limiter._connectStore();
+
+		return store.keys(pattern);
+
+	}
+
+}
+
+/**
+Escape the special characters of a Redis glob-style pattern.
+
+@method escapeGlob
+@param {String} value
+@return {String}
+@private
+*/
+function escapeGlob (value) {
+
+	return value.replace(/[*?[\]\\]/g, '\\$&');
+
+}
+
+/**
+Whether a key is the key of a custom route for a rate limit key, that is the
+key followed by a route name (`<methods>:<path>`).
+
+@method isRouteKey
+@param {String} found
+@param {String} key
+@return {Boolean}
+@private
+*/
+function isRouteKey (found, key) {
+
+	return found.startsWith(`${key}:`) && /^[^:/]+:\//.test( found.slice(key.length + 1) );
+
+}
+
+/**
+@method queryRoute
+@param {URLSearchParams} query
+@return {Object} Request-like object or `undefined`
+@private
+*/
+function queryRoute (query) {
+
+	if ( !query.has('url') ) {
+		return;
+	}
+
+	return { url: query.get('url'), method: query.get('method') || 'get' };
+
+}
+
+/**
+@method send
+@param {Object} res
+@param {Number} status
+@param {Object} body
+@private
+*/
+function send (res, status, body) {
+
+	res.statusCode = status;
+	res.setHeader('Content-Type', 'application/json; charset=utf-8');
+	res.end( JSON.stringify(body, (key, value) => value instanceof Error ? value.message : value) );
+
+}
+
+export default RateLimitAdmin;
+export { RateLimitAdmin };
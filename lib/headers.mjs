@@ -0,0 +1,119 @@
+/**
+Rate limit response headers.
+
+@module headers
+*/
+
+/**
+Supported header modes.
+
+- `legacy` `X-RateLimit-Limit` and `X-RateLimit-Remaining`.
+- `draft-6` `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and
+  `RateLimit-Policy` (draft-ietf-httpapi-ratelimit-headers-06).
+- `draft-8` Combined `RateLimit` and `RateLimit-Policy` fields carrying the
+  policy name (draft-ietf-httpapi-ratelimit-headers-08).
+
+@property HEADER_MODES
+@type {[String]}
+*/
+const HEADER_MODES = ['legacy', 'draft-6', 'draft-8'];
+
+/**
+Normalize the `headers` option to a header mode. `true` is `legacy` and
+`false` disables headers.
+
+@method headerMode
+@param {Boolean|String} headers The `headers` option.
+@return {String|null} The header mode or null when headers are disabled
+*/
+function headerMode (headers = true) {
+
+	if (headers === false || headers == null) {
+		return null;
+	}
+
+	if (headers === true) {
+		return 'legacy';
+	}
+
+	if ( !HEADER_MODES.includes(headers) ) {
+		throw new Error(`Invalid headers: ${headers}, expected one of ${HEADER_MODES.join(', ')}`);
+	}
+
+	return headers;
+
+}
+
+/**
+Build the rate limit headers for a `RateLimitRedis.process()` result.
+`Retry-After` is only included when the request was rate limited. With
+several limits `RateLimit-Policy` lists all of them while the other headers
+describe the one that tripped or is closest to tripping.
+
+@method getHeaders
+@param {Object} result The `process()` result.
+@param {String} mode Header mode (default: 'legacy').
+@return {Object} Header names mapped to their values
+*/
+function getHeaders (result = {}, mode = 'legacy') {
+
+	const headers = {};
+
+	// whitelisted and ignored requests aren't rate limited, and shadow rules may hide theirs
+	if (!mode || result.limit == null || result.headers === false) {
+		return headers;
+	}
+
+	const reset = Math.max( Math.ceil( (result.reset - Date.now()) / 1000 ), 0 );
+	const limits = result.limits || [result];
+
+	switch (mode) {
+
+		case 'legacy':
+			headers['X-RateLimit-Limit'] = String(result.limit);
+			headers['X-RateLimit-Remaining'] = String(result.remaining);
+			break;
+
+		case 'draft-6':
+			headers['RateLimit-Policy'] = limits.map( (limit) => `${limit.limit};w=${limit.timeframe}` ).join(', ');
+			headers['RateLimit-Limit'] = String(result.limit);
+			headers['RateLimit-Remaining'] = String(result.remaining);
+			headers['RateLimit-Reset'] = String(reset);
+			break;
+
+		case 'draft-8': {
+			headers['RateLimit-Policy'] = limits.map( (limit) => {
+				return `${sfString(limit.policy || 'default')};q=${limit.limit};w=${limit.timeframe}`;
+			}).join(', ');
+			headers['RateLimit'] = `${sfString(result.policy || 'default')};r=${result.remaining};t=${reset}`;
+			break;
+		}
+
+		default:
+			throw new Error(`Invalid headers: ${mode}`);
+
+	}
+
+	if (result.status === 429 && result.retry != null) {
+		headers['Retry-After'] = String(result.retry);
+	}
+
+	return headers;
+
+}
+
+/**
+Serialize a structured field string (RFC 8941).
+
+@method sfString
+@param {String} value
+@return {String}
+@private
+*/
+function sfString (value) {
+
+	return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+
+}
+
+export { HEADER_MODES, headerMode, getHeaders };
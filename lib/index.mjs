@@ -1,26 +1,81 @@
 import { RateLimitRedis } from './rate_limit_redis.mjs';
+import { MemoryStore } from './memory_store.mjs';
+import { RedisStore } from './redis_store.mjs';
+import { RateLimitMetrics } from './metrics.mjs';
+import { RateLimitAdmin } from './admin.mjs';
+import { getHeaders } from './headers.mjs';
+import {
+	middlewareOptions,
+	isRejected,
+	rejectionMessage,
+	koaRateLimit,
+	fastifyRateLimit,
+	httpRateLimit,
+} from './adapters.mjs';
 
-export async function rateLimitRedis(options) {
-	const { headers = true } = options;
+/**
+Express middleware that rate limits requests with `RateLimitRedis`.
 
-	global.rateLimitRedis = new RateLimitRedis(options);
+@method rateLimitRedis
+@param {Object} options `RateLimitRedis` options and the middleware options below.
+@param {Boolean|String} options.headers Rate limit headers to set: `legacy` (same as `true`), `draft-6`, `draft-8` or `false` for none (default: true).
+@param {String|Object} options.message Response body sent with a 429; objects are sent as JSON (default: 'Too Many Requests').
+@param {Function} options.handler Custom `handler(req, res, next, result)` called instead of sending `message`.
+@param {Boolean} options.passThrough Only set the status and call `next()` on a 429 or 403 instead of ending the request (default: false).
+@return {Function} Express middleware with its limiter attached as `rateLimitRedis`
+@example
+	const limiter = rateLimitRedis({ limit: 100, timeframe: 60 });
 
-	return function (req, res, next) {
-		global.rateLimitRedis
+	app.use(limiter);
+
+	// later
+	limiter.rateLimitRedis.disconnect();
+*/
+export function rateLimitRedis(options) {
+	const { mode, message, handler, passThrough } = middlewareOptions(options);
+	const limiter = new RateLimitRedis(options);
+
+	const middleware = function (req, res, next) {
+		limiter
 			.process(req)
 			.then(function (result = {}) {
-				if (headers) {
-					res.set('x-ratelimit-limit', result.limit);
-					res.set('x-ratelimit-remaining', result.remaining);
-					res.set('retry-after', result.retry);
+				res.set( getHeaders(result, mode) );
+
+				if ( !isRejected(result) || passThrough ) {
+					res.status(result.status);
+					return next();
+				}
+
+				if (handler) {
+					return handler(req, res, next, result);
 				}
 
 				res.status(result.status);
-				next();
+
+				const body = rejectionMessage(result, message);
+
+				if (body !== null && typeof body === 'object') {
+					res.json(body);
+				} else {
+					res.type('text').send(String(body));
+				}
 			})
 			.catch(next);
 	};
+
+	middleware.rateLimitRedis = limiter;
+
+	return middleware;
 }
 
 export default RateLimitRedis;
-export { RateLimitRedis };
+export {
+	RateLimitRedis,
+	MemoryStore,
+	RedisStore,
+	RateLimitMetrics,
+	RateLimitAdmin,
+	koaRateLimit,
+	fastifyRateLimit,
+	httpRateLimit,
+};
@@ -0,0 +1,273 @@
+import { isIP } from 'net';
+
+/**
+IP address helpers used to match client addresses against whitelist and
+blacklist ranges and to key IPv6 clients by their network prefix.
+
+Addresses are parsed into a version and a `BigInt` value. IPv4-mapped IPv6
+addresses (`::ffff:1.2.3.4`) are treated as the IPv4 address they map.
+
+@module ip
+*/
+
+/**
+Parse an IP address.
+
+@method parseIp
+@param {String} address IPv4 or IPv6 address, optionally with a zone index.
+@return {Object} `{ version, value }` or `null` when invalid
+*/
+function parseIp (address) {
+
+	if (typeof address !== 'string') {
+		return null;
+	}
+
+	// the zone index of a link-local address doesn't identify the client
+	const ip = address.split('%')[0];
+
+	switch ( isIP(ip) ) {
+
+		case 4:
+			return { version: 4, value: parseIpv4(ip) };
+
+		case 6: {
+			const value = parseIpv6(ip);
+
+			// ::ffff:0:0/96
+			if (value >> 32n === 0xffffn) {
+				return { version: 4, value: value & 0xffffffffn };
+			}
+
+			return { version: 6, value };
+		}
+
+		default:
+			return null;
+
+	}
+
+}
+
+/**
+Format a parsed IP address, IPv6 in its canonical compressed form (RFC 5952).
+
+@method formatIp
+@param {Object} ip `{ version, value }`
+@return {String}
+*/
+function formatIp ({ version, value }) {
+
+	if (version === 4) {
+		return [24n, 16n, 8n, 0n].map( (shift) => (value >> shift) & 0xffn ).join('.');
+	}
+
+	const groups = [];
+
+	for (let shift = 112n; shift >= 0n; shift -= 16n) {
+		groups.push( ( (value >> shift) & 0xffffn ).toString(16) );
+	}
+
+	// compress the longest run of two or more zero groups
+	let start = -1,
+		length = 0;
+
+	for (let i = 0; i < groups.length; i++) {
+
+		let j = i;
+
+		while (j < groups.length && groups[j] === '0') {
+			j++;
+		}
+
+		if (j - i > length && j - i > 1) {
+			start = i;
+			length = j - i;
+		}
+
+		i = j;
+
+	}
+
+	if (start === -1) {
+		return groups.join(':');
+	}
+
+	return `${groups.slice(0, start).join(':')}::${groups.slice(start + length).join(':')}`;
+
+}
+
+/**
+Normalize an IP address: IPv4-mapped IPv6 addresses become IPv4 and IPv6
+addresses are compressed. Invalid addresses are returned as is.
+
+@method normalizeIp
+@param {String} address
+@return {String}
+*/
+function normalizeIp (address) {
+
+	const ip = parseIp(address);
+
+	return ip ? formatIp(ip) : address;
+
+}
+
+/**
+Parse an address or a CIDR range such as `10.0.0.0/8` or `2001:db8::/32`.
+
+@method parseRange
+@param {String} range
+@return {Object} `{ version, network, prefix }`
+*/
+function parseRange (range) {
+
+	const [address, length, ...rest] = String(range).split('/');
+	const ip = parseIp(address);
+	const bits = ip && ip.version === 4 ? 32 : 128;
+
+	let prefix = length == null ? bits : Number(length);
+
+	// a mapped range such as ::ffff:10.0.0.0/104 covers IPv4 addresses
+	if (ip && ip.version === 4 && isIP(address) === 6 && length != null) {
+		prefix -= 96;
+	}
+
+	if ( !ip || rest.length || (length != null && !/^\d+$/.test(length)) || !Number.isInteger(prefix) || prefix < 0 || prefix > bits ) {
+		throw new Error(`Invalid IP range: ${range}`);
+	}
+
+	return { version: ip.version, network: mask(ip.value, bits, prefix), prefix };
+
+}
+
+/**
+Build a function telling whether an address is in any of a list of
+addresses and CIDR ranges.
+
+@method ipMatcher
+@param {[String]} ranges Addresses and CIDR ranges.
+@return {Function} `(address) => Boolean`
+@example
+	const isInternal = ipMatcher(['10.0.0.0/8', 'fd00::/8']);
+
+	isInternal('::ffff:10.1.2.3'); // true
+*/
+function ipMatcher (ranges = []) {
+
+	if ( !Array.isArray(ranges) ) {
+		throw new Error('Invalid IP list: expected a list of addresses or CIDR ranges');
+	}
+
+	const parsed = ranges.map(parseRange);
+
+	return function (address) {
+
+		const ip = parseIp(address);
+
+		if (!ip) {
+			return false;
+		}
+
+		const bits = ip.version === 4 ? 32 : 128;
+
+		return parsed.some( (range) => range.version === ip.version &&
+			mask(ip.value, bits, range.prefix) === range.network );
+
+	};
+
+}
+
+/**
+Identify a client by its address, or by its network for IPv6 where a
+single client usually holds a whole prefix.
+
+@method ipPrefix
+@param {String} address
+@param {Number|Boolean} prefix IPv6 prefix length, `false` to key IPv6 clients by address.
+@return {String} The normalized IPv4 address or the IPv6 network, e.g. `2001:db8:1:2::/64`
+*/
+function ipPrefix (address, prefix) {
+
+	const ip = parseIp(address);
+
+	if (!ip) {
+		return address;
+	}
+
+	if (ip.version === 4 || prefix === false || prefix == null || prefix >= 128) {
+		return formatIp(ip);
+	}
+
+	return `${formatIp({ version: 6, value: mask(ip.value, 128, prefix) })}/${prefix}`;
+
+}
+
+/**
+@method parseIpv4
+@param {String} address A valid IPv4 address.
+@return {BigInt}
+@private
+*/
+function parseIpv4 (address) {
+
+	return address.split('.').reduce( (value, octet) => (value << 8n) + BigInt(octet), 0n );
+
+}
+
+/**
+@method parseIpv6
+@param {String} address A valid IPv6 address.
+@return {BigInt}
+@private
+*/
+function parseIpv6 (address) {
+
+	const [head, tail] = address.split('::');
+	const groups = (part) => {
+
+		if (!part) {
+			return [];
+		}
+
+		return part.split(':').reduce( (list, group) => {
+
+			// an embedded IPv4 address takes two groups
+			if ( group.includes('.') ) {
+				const value = parseIpv4(group);
+				return list.concat(value >> 16n, value & 0xffffn);
+			}
+
+			return list.concat( BigInt(`0x${group}`) );
+
+		}, []);
+
+	};
+
+	const start = groups(head);
+	const end = groups(tail);
+	const zeros = tail == null ? [] : new Array(8 - start.length - end.length).fill(0n);
+
+	return start.concat(zeros, end).reduce( (value, group) => (value << 16n) + group, 0n );
+
+}
+
+/**
+Keep the first `prefix` bits of an address.
+
+@method mask
+@param {BigInt} value
+@param {Number} bits Address length, 32 or 128.
+@param {Number} prefix
+@return {BigInt}
+@private
+*/
+function mask (value, bits, prefix) {
+
+	const host = BigInt(bits - prefix);
+
+	return (value >> host) << host;
+
+}
+
+export { parseIp, formatIp, normalizeIp, parseRange, ipMatcher, ipPrefix };
@@ -0,0 +1,572 @@
+import { EventEmitter } from 'events';
+
+/**
+Per-process, in-memory implementation of the rate limit algorithms. Each
+algorithm mirrors its Lua script in `scripts.mjs` and returns the same reply
+so `RateLimitRedis` can switch to it when Redis is unreachable, or use it as
+its `store` on a single node and in tests.
+
+@class MemoryStore
+@param {Object} options Store options
+@param {Function} options.clock Function returning the current time in milliseconds (default: `Date.now`).
+*/
+class MemoryStore {
+
+	constructor(options = {}) {
+
+		this.clock = options.clock || Date.now;
+		this.entries = new Map();
+		this._sweptAt = 0;
+		this._channels = new EventEmitter();
+
+	}
+
+	/**
+	Minimum time in milliseconds between two sweeps of expired entries
+
+	@property SWEEP_INTERVAL
+	@type {Number}
+	@static
+	*/
+	static get SWEEP_INTERVAL () { return 1000; }
+
+	/**
+	Evaluate an algorithm for a key.
+
+	@method evaluate
+	@param {String} algorithm Algorithm name (see `RateLimitRedis.ALGORITHMS`).
+	@param {String} key The rate limit key.
+	@param {Array} args The arguments of the algorithm's Lua script.
+	@return {Array} `[count, ttl, allowed, reset]` like the Lua scripts
+	*/
+	evaluate (algorithm, key, args) {
+
+		if (!key) {
+			throw new Error('Invalid key');
+		}
+
+		const now = this.clock();
+
+		this._sweep(now);
+
+		return this._evaluate(algorithm, key, args, now, true);
+
+	}
+
+	/**
+	Evaluate an algorithm for several keys, one per window of a request with
+	multiple limits. The request is only counted when every window allows it.
+
+	@method evaluateAll
+	@param {String} algorithm Algorithm name (see `RateLimitRedis.ALGORITHMS`).
+	@param {[String]} keys The rate limit keys.
+	@param {[Array]} args The arguments of each key.
+	@param {Object} options
+	@param {String} options.mode `peek` to only evaluate the request or `force` to count it even when over the limit.
+	@param {String} options.blockKey Key blocking the client while it exists.
+	@param {String} options.violationsKey Key counting the rejected requests of the client, to block it on a rejection.
+	@param {[Number]} options.blockDurations Block durations in milliseconds by amount of violations.
+	@param {Number} options.blockPeriod Milliseconds violations are remembered for.
+	@return {[Array]} A reply per key, with a fifth `1` when blocked
+	*/
+	evaluateAll (algorithm, keys, args, options = {}) {
+
+		if ( !keys.length || !keys.every(Boolean) ) {
+			throw new Error('Invalid key');
+		}
+
+		const { mode, blockKey } = options;
+		const force = mode === 'force';
+		const now = this.clock();
+
+		this._sweep(now);
+
+		const block = blockKey && this._get(blockKey, now);
+
+		// a blocked client is rejected without being counted
+		if (block) {
+			const ttl = block.expires - now;
+			return keys.map( () => [0, ttl, 0, ttl, 1] );
+		}
+
+		const replies = keys.map( (key, index) => this._evaluate(algorithm, key, args[index], now, false, force) );
+
+		if (mode === 'peek') {
+			return replies;
+		}
+
+		if ( replies.every( (reply) => reply[2] ) ) {
+			return keys.map( (key, index) => this._evaluate(algorithm, key, args[index], now, true, force) );
+		}
+
+		const { violationsKey, blockDurations, blockPeriod } = options;
+
+		if ( !blockKey || !violationsKey || !blockDurations || !blockDurations.length ) {
+			return replies;
+		}
+
+		// block a client for longer the more often it is rejected
+		const violations = this.increment(violationsKey);
+		const duration = blockDurations[ Math.min(violations, blockDurations.length) - 1 ];
+
+		this._get(violationsKey, now).expires = now + blockPeriod;
+		this._set(blockKey, violations, duration, now);
+
+		return replies.map( (reply) => [reply[0], duration, 0, duration, 1] );
+
+	}
+
+	/**
+	Always open, there is nothing to connect to.
+
+	@property isOpen
+	@type {Boolean}
+	*/
+	get isOpen () { return true; }
+
+	/**
+	Always ready.
+
+	@property isReady
+	@type {Boolean}
+	*/
+	get isReady () { return true; }
+
+	/**
+	@method connect
+	@async
+	@return {Promise}
+	*/
+	async connect () {}
+
+	/**
+	@method disconnect
+	@async
+	@return {Promise}
+	*/
+	async disconnect () {}
+
+	/**
+	@method get
+	@param {String} key
+	@return {String} The value or `null`
+	*/
+	get (key) {
+
+		const entry = this._get(key, this.clock());
+
+		return entry ? String(entry.value) : null;
+
+	}
+
+	/**
+	@method set
+	@param {String} key
+	@param {*} value
+	@param {Number} ttl Expiry in seconds, none when omitted.
+	@return {Boolean} Whether the value was set
+	*/
+	set (key, value, ttl) {
+
+		this._set(key, value, ttl == null ? Infinity : ttl * 1000, this.clock());
+
+		return true;
+
+	}
+
+	/**
+	Increment a counter, creating it without an expiry like Redis' INCR.
+
+	@method increment
+	@param {String} key
+	@param {Number} amount Amount to add (default: 1).
+	@return {Number} The new value
+	*/
+	increment (key, amount = 1) {
+
+		const now = this.clock();
+		const entry = this._get(key, now);
+
+		if (!entry) {
+			this._set(key, amount, Infinity, now);
+			return amount;
+		}
+
+		entry.value = Number(entry.value) + amount;
+
+		return entry.value;
+
+	}
+
+	/**
+	@method ttl
+	@param {String} key
+	@return {Number} Time to live in milliseconds, `-1` without an expiry and `-2` for a missing key
+	*/
+	ttl (key) {
+
+		const now = this.clock();
+		const entry = this._get(key, now);
+
+		if (!entry) {
+			return -2;
+		}
+
+		return entry.expires === Infinity ? -1 : entry.expires - now;
+
+	}
+
+	/**
+	Increment the score of a member in each sorted set by one.
+
+	@method incrementScores
+	@param {[String]} keys The sorted sets.
+	@param {[String]} members The member of each sorted set.
+	@param {Number} ttl Expiry of the sorted sets in seconds.
+	*/
+	incrementScores (keys, members, ttl) {
+
+		const now = this.clock();
+
+		keys.forEach( (key, index) => {
+
+			const entry = this._get(key, now);
+			const scores = entry ? entry.value : new Map();
+			const member = String(members[index]);
+
+			scores.set(member, (scores.get(member) || 0) + 1);
+			this._set(key, scores, ttl * 1000, now);
+
+		});
+
+	}
+
+	/**
+	Members with the highest total score across sorted sets.
+
+	@method topScores
+	@param {[String]} keys The sorted sets.
+	@param {Number} count Maximum amount of members.
+	@return {[Array]} `[member, score]` pairs from the highest score
+	*/
+	topScores (keys, count) {
+
+		const now = this.clock();
+		const totals = new Map();
+
+		keys.forEach( (key) => {
+
+			const entry = this._get(key, now);
+
+			if (entry) {
+				entry.value.forEach( (score, member) => totals.set(member, (totals.get(member) || 0) + score) );
+			}
+
+		});
+
+		// ties in reverse lexicographical order like ZREVRANGE
+		return Array.from(totals)
+			.sort( (a, b) => b[1] - a[1] || (a[0] < b[0] ? 1 : -1) )
+			.slice(0, count);
+
+	}
+
+	/**
+	Find keys matching a glob-style pattern, like Redis' SCAN.
+
+	@method keys
+	@param {String} pattern Glob-style pattern supporting `*`, `?`, `[...]` and `\\` escapes.
+	@return {[String]} The matching keys
+	*/
+	keys (pattern) {
+
+		const now = this.clock();
+		const source = pattern.replace(/\\.|\[(?:\\.|[^\]])*\]|[*?]|[^\\[*?]+/g, (token) => {
+
+			if (token === '*') {
+				return '.*';
+			}
+
+			if (token === '?') {
+				return '.';
+			}
+
+			if ( token.startsWith('[') ) {
+				return token.replace(/^\[\^/, '[^');
+			}
+
+			return token.replace(/^\\/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+		});
+		const regexp = new RegExp(`^${source}$`);
+
+		return Array.from( this.entries.keys() ).filter( (key) => this._get(key, now) && regexp.test(key) );
+
+	}
+
+	/**
+	Publish a message to the subscribers of a channel on this store.
+
+	@method publish
+	@param {String} channel
+	@param {String} message
+	@return {Number} The amount of subscribers
+	*/
+	publish (channel, message) {
+
+		const subscribers = this._channels.listenerCount(channel);
+
+		this._channels.emit(channel, String(message));
+
+		return subscribers;
+
+	}
+
+	/**
+	Subscribe to a channel.
+
+	@method subscribe
+	@param {String} channel
+	@param {Function} listener Called with each message.
+	@async
+	@return {Promise<Function>} Async function unsubscribing the listener
+	*/
+	async subscribe (channel, listener) {
+
+		this._channels.on(channel, listener);
+
+		return async () => {
+			this._channels.removeListener(channel, listener);
+		};
+
+	}
+
+	/**
+	Remove a key.
+
+	@method reset
+	@param {String} key
+	@return {Boolean} Whether the key existed
+	*/
+	reset (key) {
+
+		if (!key) {
+			throw new Error('Invalid key');
+		}
+
+		return this.entries.delete(key);
+
+	}
+
+	_evaluate (algorithm, key, args, now, commit, force) {
+
+		switch (algorithm) {
+			case 'fixed-window':
+				return this._fixedWindow(key, args, now, commit, force);
+			case 'sliding-log':
+				return this._slidingLog(key, args, now, commit, force);
+			case 'sliding-window':
+				return this._slidingWindow(key, args, now, commit, force);
+			case 'token-bucket':
+				return this._tokenBucket(key, args, now, commit, force);
+			case 'gcra':
+				return this._gcra(key, args, now, commit, force);
+			default:
+				throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+		}
+
+	}
+
+	_get (key, now) {
+
+		const entry = this.entries.get(key);
+
+		if (entry && entry.expires <= now) {
+			this.entries.delete(key);
+			return;
+		}
+
+		return entry;
+
+	}
+
+	_set (key, value, ttl, now) {
+
+		this.entries.set(key, { value, expires: now + ttl });
+
+	}
+
+	_sweep (now) {
+
+		if (now - this._sweptAt < MemoryStore.SWEEP_INTERVAL) {
+			return;
+		}
+
+		this._sweptAt = now;
+
+		this.entries.forEach( (entry, key) => {
+			if (entry.expires <= now) {
+				this.entries.delete(key);
+			}
+		});
+
+	}
+
+	_fixedWindow (key, [limit, window, cost = 1], now, commit, force) {
+
+		const entry = this._get(key, now);
+		// a counter without an expiry starts a new window, like the Lua script
+		const current = entry && entry.expires !== Infinity ? Number(entry.value) : 0;
+
+		if (current === 0) {
+			if (cost > limit && !force) {
+				return [0, window, 0];
+			}
+			if (cost <= 0) {
+				return [0, window, 1];
+			}
+			if (commit) {
+				this._set(key, cost, window, now);
+			}
+			return [cost, window, 1];
+		}
+
+		if (current + cost > limit && !force) {
+			return [current, entry.expires - now, 0];
+		}
+
+		const count = Math.max(0, current + cost);
+
+		if (commit) {
+			entry.value = count;
+		}
+
+		return [count, entry.expires - now, 1];
+
+	}
+
+	_slidingLog (key, [limit, window, cost = 1], now, commit, force) {
+
+		const entry = this._get(key, now);
+		const log = entry ? entry.value.filter( (timestamp) => timestamp > now - window ) : [];
+
+		if (log.length + cost > limit && !force) {
+			// wait for enough logged requests to leave the window
+			const index = log.length + cost - limit - 1;
+			if (entry) {
+				entry.value = log;
+			}
+			return [log.length, cost <= limit ? log[index] + window - now : window, 0];
+		}
+
+		const ttl = log.length ? log[0] + window - now : window;
+
+		if (commit && cost > 0) {
+			this._set(key, log.concat( new Array(cost).fill(now) ), window, now);
+		} else if (commit && cost < 0 && entry) {
+			// a reward forgets the latest requests
+			entry.value = log.slice(0, Math.max(0, log.length + cost));
+		}
+
+		return [Math.max(0, log.length + cost), ttl, 1];
+
+	}
+
+	_slidingWindow (key, [limit, window, cost = 1], now, commit, force) {
+
+		const start = now - (now % window);
+		const elapsed = now - start;
+		const entry = this._get(key, now);
+		const state = entry ? entry.value : { start, current: 0, previous: 0 };
+
+		let { current, previous } = state;
+
+		// roll the counters over when a new window has started
+		if (state.start !== start) {
+			previous = state.start === start - window ? current : 0;
+			current = 0;
+		}
+
+		const count = Math.floor(previous * (window - elapsed) / window) + current;
+		// the highest count the request fits on
+		const threshold = limit - cost + 1;
+
+		if (count >= threshold && !force) {
+			let retry;
+			if (threshold < 1) {
+				retry = window;
+			} else if (current < threshold) {
+				retry = window - (threshold - current) * window / previous - elapsed;
+			} else {
+				retry = window - elapsed + Math.max(0, window - threshold * window / current);
+			}
+			return [count, Math.max(1, Math.ceil(retry)), 0];
+		}
+
+		const nextCurrent = Math.max(0, current + cost);
+
+		if (commit) {
+			this._set(key, { start, current: nextCurrent, previous }, window * 2 - elapsed, now);
+		}
+
+		return [count - current + nextCurrent, window - elapsed, 1];
+
+	}
+
+	_tokenBucket (key, [capacity, refillRate, cost = 1], now, commit, force) {
+
+		const rate = refillRate / 1000;
+		const entry = this._get(key, now);
+		const state = entry ? entry.value : { tokens: capacity, timestamp: now };
+
+		let tokens = Math.min(capacity, state.tokens + Math.max(0, now - state.timestamp) * rate);
+
+		if (tokens < cost && !force) {
+			const reset = Math.ceil((capacity - tokens) / rate);
+			return [capacity - Math.floor(tokens), Math.ceil((cost - tokens) / rate), 0, reset];
+		}
+
+		tokens = Math.min(capacity, tokens - cost);
+
+		const reset = Math.ceil((capacity - tokens) / rate);
+
+		// a full bucket needs no state
+		if (commit && reset > 0) {
+			this._set(key, { tokens, timestamp: now }, reset, now);
+		} else if (commit) {
+			this.entries.delete(key);
+		}
+
+		return [capacity - Math.floor(tokens), reset, 1, reset];
+
+	}
+
+	_gcra (key, [limit, window, burst, cost = 1], now, commit, force) {
+
+		const interval = window / limit;
+		const entry = this._get(key, now);
+		const tat = Math.max(entry ? entry.value : now, now);
+		const nextTat = Math.max(now, tat + interval * cost);
+		const allowAt = nextTat - burst * interval;
+
+		if (allowAt > now && !force) {
+			const used = burst - Math.max(0, Math.floor((now - tat + burst * interval) / interval));
+			return [used, Math.ceil(allowAt - now), 0, Math.ceil(tat - now)];
+		}
+
+		const reset = Math.ceil(nextTat - now);
+
+		if (commit && reset > 0) {
+			this._set(key, nextTat, reset, now);
+		} else if (commit) {
+			this.entries.delete(key);
+		}
+
+		return [burst - Math.floor((now - allowAt) / interval), reset, 1, reset];
+
+	}
+
+}
+
+export default MemoryStore;
+export { MemoryStore };
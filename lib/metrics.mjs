@@ -0,0 +1,262 @@
+/**
+Prometheus metrics of the decisions made by one or more `RateLimitRedis`
+instances, collected from their events and rendered in the text exposition
+format without any dependency.
+
+@class RateLimitMetrics
+@param {Object} options
+@param {String} options.prefix Prefix of the metric names (default: `rate_limit_`).
+@param {[Number]} options.buckets Upper bounds in seconds of the latency histogram buckets.
+@example
+	const limiter = rateLimitRedis(options);
+	const metrics = new RateLimitMetrics().attach(limiter.rateLimitRedis);
+
+	app.use(limiter);
+	app.get('/metrics', metrics.handler());
+*/
+class RateLimitMetrics {
+
+	constructor(options = {}) {
+
+		this.prefix = options.prefix != null ? options.prefix : 'rate_limit_';
+		this.buckets = (options.buckets || RateLimitMetrics.DEFAULT_BUCKETS).slice().sort( (a, b) => a - b );
+		this.decisions = new Map();
+		this.latencies = new Map();
+		this.redisErrors = 0;
+		this.degraded = 0;
+		this._detach = [];
+
+		if ( !this.buckets.length || !this.buckets.every( (bucket) => bucket > 0 ) ) {
+			throw new Error(`Invalid buckets: ${options.buckets}`);
+		}
+
+		if ( !/^[a-zA-Z_:][a-zA-Z0-9_:]*$|^$/.test(this.prefix) ) {
+			throw new Error(`Invalid prefix: ${this.prefix}`);
+		}
+
+	}
+
+	static get DEFAULT_BUCKETS () {
+		return [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+	}
+
+	/**
+	Collect the metrics of a limiter.
+
+	@method attach
+	@param {RateLimitRedis} limiter
+	@return {RateLimitMetrics}
+	*/
+	attach (limiter) {
+
+		const listeners = {
+			allowed: (event) => this._decision('allowed', event),
+			limited: (event) => this._decision('limited', event),
+			blocked: (event) => this._decision('blocked', event),
+			whitelisted: () => this._count('whitelisted', ''),
+			ignored: (event) => this._count('ignored', event.rule),
+			redisError: () => {
+				this.redisErrors++;
+			},
+			degraded: () => {
+				this.degraded = 1;
+			},
+			recovered: () => {
+				this.degraded = 0;
+			},
+		};
+
+		Object.keys(listeners).forEach( (name) => {
+			limiter.on(name, listeners[name]);
+			this._detach.push( () => limiter.removeListener(name, listeners[name]) );
+		});
+
+		return this;
+
+	}
+
+	/**
+	Stop collecting the metrics of every attached limiter.
+
+	@method detach
+	*/
+	detach () {
+
+		this._detach.forEach( (detach) => detach() );
+		this._detach = [];
+
+	}
+
+	/**
+	Render the metrics in the Prometheus text exposition format.
+
+	@method render
+	@return {String}
+	*/
+	render () {
+
+		const name = (metric) => `${this.prefix}${metric}`;
+		const lines = [];
+
+		lines.push(
+			`# HELP ${name('decisions_total')} Rate limit decisions by outcome and rule.`,
+			`# TYPE ${name('decisions_total')} counter`
+		);
+
+		this.decisions.forEach( (value, key) => {
+			const [decision, rule] = JSON.parse(key);
+			lines.push(`${name('decisions_total')}${labels({ decision, rule })} ${value}`);
+		});
+
+		lines.push(
+			`# HELP ${name('decision_duration_seconds')} Time taken to decide whether a request is rate limited.`,
+			`# TYPE ${name('decision_duration_seconds')} histogram`
+		);
+
+		this.latencies.forEach( (histogram, rule) => {
+
+			let count = 0;
+
+			this.buckets.forEach( (bucket, index) => {
+				count += histogram.counts[index];
+				lines.push(`${name('decision_duration_seconds_bucket')}${labels({ rule, le: String(bucket) })} ${count}`);
+			});
+
+			lines.push(
+				`${name('decision_duration_seconds_bucket')}${labels({ rule, le: '+Inf' })} ${histogram.count}`,
+				`${name('decision_duration_seconds_sum')}${labels({ rule })} ${histogram.sum}`,
+				`${name('decision_duration_seconds_count')}${labels({ rule })} ${histogram.count}`
+			);
+
+		});
+
+		lines.push(
+			`# HELP ${name('redis_errors_total')} Failed Redis operations and client errors.`,
+			`# TYPE ${name('redis_errors_total')} counter`,
+			`${name('redis_errors_total')} ${this.redisErrors}`,
+			`# HELP ${name('degraded')} Whether the limiter is degraded by a Redis failure (1) or not (0).`,
+			`# TYPE ${name('degraded')} gauge`,
+			`${name('degraded')} ${this.degraded}`
+		);
+
+		return `${lines.join('\n')}\n`;
+
+	}
+
+	/**
+	Request handler serving the metrics, for Express or `node:http`.
+
+	@method handler
+	@return {Function} `(req, res) => void`
+	*/
+	handler () {
+
+		return (req, res) => {
+			res.statusCode = 200;
+			res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+			res.end( this.render() );
+		};
+
+	}
+
+	/**
+	Reset every metric.
+
+	@method reset
+	*/
+	reset () {
+
+		this.decisions.clear();
+		this.latencies.clear();
+		this.redisErrors = 0;
+		this.degraded = 0;
+
+	}
+
+	/**
+	@method _decision
+	@param {String} decision Event name.
+	@param {Object} event Event payload.
+	@private
+	*/
+	_decision (decision, event) {
+
+		this._count(decision, event.rule || '');
+
+		// blacklisted requests don't reach Redis
+		if (event.reason === 'blacklist') {
+			return;
+		}
+
+		this._observe(event.rule || '', event.latency / 1000);
+
+		// a request decided by Redis means it is reachable again
+		if (this.degraded && event.result && !event.result.degraded) {
+			this.degraded = 0;
+		}
+
+	}
+
+	/**
+	@method _count
+	@param {String} decision
+	@param {String} rule
+	@private
+	*/
+	_count (decision, rule) {
+
+		const key = JSON.stringify([decision, rule || '']);
+
+		this.decisions.set(key, (this.decisions.get(key) || 0) + 1);
+
+	}
+
+	/**
+	@method _observe
+	@param {String} rule
+	@param {Number} seconds Decision latency.
+	@private
+	*/
+	_observe (rule, seconds) {
+
+		let histogram = this.latencies.get(rule);
+
+		if (!histogram) {
+			histogram = { counts: this.buckets.map( () => 0 ), sum: 0, count: 0 };
+			this.latencies.set(rule, histogram);
+		}
+
+		const index = this.buckets.findIndex( (bucket) => seconds <= bucket );
+
+		if (index !== -1) {
+			histogram.counts[index]++;
+		}
+
+		histogram.sum += seconds;
+		histogram.count++;
+
+	}
+
+}
+
+/**
+Format labels, escaping their values.
+
+@method labels
+@param {Object} values Label names mapped to their values.
+@return {String} e.g. `{rule="default"}`
+@private
+*/
+function labels (values) {
+
+	const pairs = Object.keys(values).map( (label) => {
+		const value = String(values[label]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+		return `${label}="${value}"`;
+	});
+
+	return `{${pairs.join(',')}}`;
+
+}
+
+export default RateLimitMetrics;
+export { RateLimitMetrics };
@@ -1,21 +1,68 @@
+import { EventEmitter } from 'events';
+import { performance } from 'perf_hooks';
 import  { createClient, createCluster } from 'redis';
+import { SCRIPTS } from './scripts.mjs';
+import { MemoryStore } from './memory_store.mjs';
+import { RedisStore } from './redis_store.mjs';
+import { ipMatcher, ipPrefix, normalizeIp } from './ip.mjs';
+import { compileRoute, requestPath } from './routes.mjs';
 
 /**
 Rate limit middleware that used redis cache
 
 @class rateLimitRedis
 @param {Object} options Rate limit options
-@param {Object} options.redis Redis options (see: https://github.com/NodeRedis/node-redis#options-object-properties)
+@param {Object} options.redis Redis options (see: https://github.com/NodeRedis/node-redis#options-object-properties) or a connected node-redis or ioredis client.
+@param {Object} options.store Store used instead of Redis, e.g. a `MemoryStore` (see `RedisStore` for the interface).
 @param {String} namespace Namespace prepended to rate limit key.
 @param {Number} options.timeframe  Rate limit window in seconds.
 @param {Number} options.limit Maximum amount of request allowed within rate.
-@param {[String]} options.whitelist A list of ip addresses where rate limit should not apply
+@param {[Object]} options.limits Several limits applied at once instead of `limit` and `timeframe`, e.g. per second and per hour. A request is only counted when all of them allow it.
+@param {Number} options.limits.limit Maximum amount of request allowed within the window.
+@param {Number} options.limits.timeframe Window in seconds.
+@param {String} options.limits.name Policy name reported in the result (default: `<limit>/<timeframe>s`).
+@param {String} options.algorithm Rate limit algorithm, one of `fixed-window` (default), `sliding-log`, `sliding-window`, `token-bucket` or `gcra`.
+@param {Number} options.capacity Token bucket capacity (default: `limit`).
+@param {Number} options.refillRate Tokens added to the bucket per second (default: `limit / timeframe`).
+@param {Number} options.burst GCRA burst tolerance, the amount of requests allowed at once (default: `limit`).
+@param {Number|Function} options.cost Units a request consumes, or a function `(request) => Number` (may be async) returning them (default: 1).
+@param {Function|[Function]} options.keyGenerator Function `(request) => String` (may be async) identifying the client, or a list of them tried in order. Falls back to the request ip.
+@param {String} options.mode `enforce` (default) or `shadow` to count requests and report the ones that would be rejected with `wouldLimit: true` while allowing them.
+@param {Boolean} options.shadowHeaders Whether to send rate limit headers in `shadow` mode (default: true).
+@param {Object} options.shadow A limit trialed alongside the enforced one: any of `limit`, `timeframe`, `limits`, `algorithm`, `capacity`, `refillRate` and `burst` overriding the rule, and a `name` (default: `<policy>:shadow`). Requests it would reject are reported with `wouldLimit: true` but never rejected.
+@param {String|Function} options.onRedisError What to do when Redis fails or times out: `open` allows the request, `closed` rejects it and a function `(err, request, result) => result` decides. Errors are thrown when not set.
+@param {Number} options.redisTimeout Time in milliseconds after which a Redis operation fails (default: no timeout).
+@param {Boolean|Object} options.fallback Rate limit in memory while Redis is unreachable.
+@param {Number} options.fallback.nodes Expected amount of nodes; limits are divided by it while falling back (default: 1).
+@param {Number} options.fallback.retryInterval Time in milliseconds before Redis is tried again after an error (default: 5000).
+@param {[String]} options.whitelist A list of ip addresses or CIDR ranges where rate limit should not apply
+@param {[String]} options.blacklist A list of ip addresses or CIDR ranges whose requests are always rejected.
+@param {Number} options.blacklistStatus Status of blacklisted requests, 403 or 429 (default: 403).
+@param {Number|Boolean} options.ipv6Subnet Prefix length IPv6 clients are identified by, `false` for their full address (default: 64).
+@param {Boolean|Object} options.rules Load rules from Redis and reload them when they change (see `setRules()`).
+@param {String} options.rules.key Key holding the JSON rules (default: `<namespace>:rules`).
+@param {String} options.rules.channel Channel rule changes are published on (default: `<namespace>:rules`).
+@param {Boolean|Object} options.analytics Count the requests and the rejections of each identity and route per time bucket (see `topOffenders()`).
+@param {Number} options.analytics.bucket Length of a time bucket in seconds (default: 300).
+@param {Number} options.analytics.retention Time in seconds a bucket is kept for after it ends (default: 86400).
+@param {String} options.analytics.key Prefix of the analytics keys (default: `<namespace>:analytics`).
 @param {[Object]} options.customRoutes A list of routes to not apply rate limit to.
-@param {String} options.customRoutes.path The path to ignore (required).
-@param {String} options.customRoutes.method The request method of the ignored path (default:'GET').
+@param {String|RegExp} options.customRoutes.path The path to ignore (required): an exact path, an Express-style pattern such as `/users/:id/*` or a regular expression. Query strings are ignored.
+@param {String|[String]} options.customRoutes.method The request method of the ignored path, a list of methods or `*` for any (default:'GET').
 @param {Boolean} options.customRoutes.ignore Whether to ignore the route all together.
 @param {Number} options.customRoutes.timeframe Rate limit window for the custom route.
 @param {Number} options.customRoutes.limit Maximum amount of request allowed within rate for the custom route.
+@param {[Object]} options.customRoutes.limits Several limits for the custom route.
+@param {String} options.customRoutes.algorithm Rate limit algorithm for the custom route.
+@param {Number} options.customRoutes.capacity Token bucket capacity for the custom route.
+@param {Number} options.customRoutes.refillRate Token bucket refill rate for the custom route.
+@param {Number} options.customRoutes.burst GCRA burst tolerance for the custom route.
+@param {Number|Function} options.customRoutes.cost Units a request to the custom route consumes.
+@param {Function|[Function]} options.customRoutes.keyGenerator Client identity function(s) for the custom route.
+@param {String} options.customRoutes.mode `enforce` or `shadow` for the custom route.
+@param {Boolean} options.customRoutes.shadowHeaders Whether to send rate limit headers for the custom route in `shadow` mode.
+@param {Object|Boolean} options.customRoutes.shadow A limit trialed alongside the custom route's, or `false` to not trial the global one.
+@param {String} options.customRoutes.name Policy name reported in the result (default: `<method>:<path>`).
 @example
 	app.use(
 		rateLimitRedis({
@@ -47,24 +94,475 @@ Rate limit middleware that used redis cache
 	);
 
 */
-class RateLimitRedis {
+class RateLimitRedis extends EventEmitter {
 	
 	constructor(options) {
 		
+		super();
+
 		this.redisClient;
-		this.timeframe = options.timeframe || 60,
-		this.limit = options.limit || 100,
+		this.store;
+		this.keyGenerator = options.keyGenerator;
 		this.namespace = options.namespace || RateLimitRedis.DEFAULT_NAMESPACE,
-		this.whitelist = options.whitelist;
-		this.customRoutes = options.customRoutes;
+		this.ipv6Subnet = options.ipv6Subnet != null ? options.ipv6Subnet : 64;
+		this.rules = null;
+		this.analytics = null;
 		this.autoConnect = options.autoConnect || true;
+		this.onRedisError = options.onRedisError;
+		this.redisTimeout = options.redisTimeout;
+		this.fallback = null;
+		this.memoryStore = null;
+		this._fallbackActive = false;
+		this._fallbackRetryAt = 0;
+		this._disconnecting = false;
+		this._options = options;
+		this._rulesWatch = null;
 		
-		this._createRedisClient(options.redis);
+		if (options.fallback) {
+
+			this.fallback = {
+				nodes: 1,
+				retryInterval: 5000,
+				...(options.fallback === true ? {} : options.fallback),
+			};
+
+			if ( !(this.fallback.nodes >= 1) ) {
+				throw new Error(`Invalid fallback nodes: ${this.fallback.nodes}`);
+			}
+
+			this.memoryStore = new MemoryStore();
+
+		}
+
+		if ( this.onRedisError != null && !['open', 'closed'].includes(this.onRedisError) && typeof this.onRedisError !== 'function' ) {
+			throw new Error(`Invalid onRedisError: ${this.onRedisError}`);
+		}
+
+		if ( this.ipv6Subnet !== false && !(Number.isInteger(this.ipv6Subnet) && this.ipv6Subnet > 0 && this.ipv6Subnet <= 128) ) {
+			throw new Error(`Invalid ipv6Subnet: ${this.ipv6Subnet}`);
+		}
+
+		Object.assign( this, this._ruleset(options) );
+
+		if (options.rules) {
+			this.rules = {
+				key: `${this.namespace}:rules`,
+				channel: `${this.namespace}:rules`,
+				...(options.rules === true ? {} : options.rules),
+			};
+		}
+
+		if (options.analytics) {
+
+			this.analytics = {
+				key: `${this.namespace}:analytics`,
+				bucket: RateLimitRedis.DEFAULT_ANALYTICS_BUCKET,
+				retention: RateLimitRedis.DEFAULT_ANALYTICS_RETENTION,
+				...(options.analytics === true ? {} : options.analytics),
+			};
+
+			['bucket', 'retention'].forEach( (option) => {
+				if ( !(this.analytics[option] > 0) ) {
+					throw new Error(`Invalid analytics ${option}: ${this.analytics[option]}`);
+				}
+			});
+
+		}
+
+		if (options.store) {
+			this.store = options.store;
+		} else {
+			this._createRedisClient(options.redis);
+			this.store = new RedisStore(this.redisClient);
+		}
+
+		if ( this.analytics && typeof this.store.topScores !== 'function' ) {
+			throw new Error('The store does not support analytics');
+		}
+
+		if (this.fallback && typeof this.store.on === 'function') {
+			this.store.on('error', (err) => this._startFallback(err) );
+			this.store.on('end', () => {
+				// ignore the connection disconnect() closed, until connect() opens it again
+				if (!this._disconnecting) {
+					this._startFallback( new Error('Redis connection closed') );
+				}
+			});
+			this.store.on('ready', () => {
+				this._fallbackRetryAt = 0;
+			});
+		}
 
 	}
 	
 	static get DEFAULT_NAMESPACE () { return 'rate-limit'; }
 	
+	static get DEFAULT_ALGORITHM () { return 'fixed-window'; }
+
+	static get DEFAULT_BLOCK_PERIOD () { return 86400; }
+
+	static get DEFAULT_ANALYTICS_BUCKET () { return 300; }
+
+	static get DEFAULT_ANALYTICS_RETENTION () { return 86400; }
+
+	/**
+	Rule modes: `enforce` rejects requests over the limit while `shadow` only
+	reports them.
+
+	@property MODES
+	@type {[String]}
+	@static
+	*/
+	static get MODES () {
+		return ['enforce', 'shadow'];
+	}
+
+	/**
+	Options that can be changed with dynamic rules.
+
+	@property RULE_OPTIONS
+	@type {[String]}
+	@static
+	*/
+	static get RULE_OPTIONS () {
+		return [
+			'timeframe', 'limit', 'limits', 'algorithm', 'capacity', 'refillRate', 'burst', 'cost',
+			'blockDuration', 'blockPeriod', 'mode', 'shadowHeaders', 'shadow', 'whitelist', 'blacklist',
+			'blacklistStatus', 'customRoutes',
+		];
+	}
+
+	/**
+	Lua scripts for each supported algorithm
+
+	@property ALGORITHMS
+	@type {Object}
+	@static
+	*/
+	static get ALGORITHMS () {
+		return SCRIPTS;
+	}
+	
+	/**
+	Validate the rate limit rules in a set of options and resolve their
+	defaults, so a ruleset is only applied once it is known to be valid.
+
+	@method _ruleset
+	@param {Object} options Constructor options, possibly with dynamic rules merged in.
+	@return {Object} Properties to assign to the limiter
+	@private
+	*/
+	_ruleset (options) {
+
+		const ruleset = {
+			timeframe: options.timeframe || 60,
+			limit: options.limit || 100,
+			limits: options.limits,
+			algorithm: options.algorithm || RateLimitRedis.DEFAULT_ALGORITHM,
+			capacity: options.capacity,
+			refillRate: options.refillRate,
+			burst: options.burst,
+			cost: options.cost,
+			blockDuration: options.blockDuration,
+			blockPeriod: options.blockPeriod,
+			mode: options.mode || 'enforce',
+			shadowHeaders: options.shadowHeaders,
+			shadow: options.shadow,
+			whitelist: options.whitelist,
+			blacklist: options.blacklist,
+			blacklistStatus: options.blacklistStatus || 403,
+			customRoutes: options.customRoutes,
+			// throws on invalid addresses and ranges
+			_isWhitelisted: ipMatcher(options.whitelist || []),
+			_isBlacklisted: ipMatcher(options.blacklist || []),
+		};
+
+		if ( ![403, 429].includes(ruleset.blacklistStatus) ) {
+			throw new Error(`Invalid blacklistStatus: ${ruleset.blacklistStatus}`);
+		}
+
+		this._validateRule(options);
+
+		if ( ruleset.customRoutes != null && !Array.isArray(ruleset.customRoutes) ) {
+			throw new Error('Invalid customRoutes: expected a list of routes');
+		}
+
+		if (Array.isArray(ruleset.customRoutes)) {
+			ruleset.customRoutes.forEach( (route) => {
+
+				if (route === null || typeof route !== 'object' || route.path == null) {
+					throw new Error('Invalid customRoutes: every route needs a path');
+				}
+
+				if ( !( Object.prototype.hasOwnProperty.call(route, 'method') ) ) {
+					route.method = 'get';
+				}
+
+				this._validateRule(route);
+
+			});
+		}
+
+		// throws on invalid paths and methods
+		ruleset._routes = (ruleset.customRoutes || []).map(compileRoute);
+
+		return ruleset;
+
+	}
+
+	_validateRule(rule) {
+
+		if ( rule.algorithm != null && !Object.prototype.hasOwnProperty.call(RateLimitRedis.ALGORITHMS, rule.algorithm) ) {
+			throw new Error(`Unknown rate limit algorithm: ${rule.algorithm}`);
+		}
+
+		['limit', 'timeframe', 'capacity', 'refillRate', 'burst'].forEach( (option) => {
+			if ( rule[option] != null && !(rule[option] > 0) ) {
+				throw new Error(`Invalid ${option}: ${rule[option]}`);
+			}
+		});
+
+		if ( rule.keyGenerator != null && ![].concat(rule.keyGenerator).every( (fn) => typeof fn === 'function' ) ) {
+			throw new Error('Invalid keyGenerator: expected a function or a list of functions');
+		}
+
+		if ( rule.cost != null && typeof rule.cost !== 'function' && !RateLimitRedis._isCost(rule.cost) ) {
+			throw new Error(`Invalid cost: ${rule.cost}`);
+		}
+
+		if ( rule.blockDuration != null && !RateLimitRedis._blockDurations(rule.blockDuration).every( (duration) => duration > 0 ) ) {
+			throw new Error(`Invalid blockDuration: ${rule.blockDuration}`);
+		}
+
+		if ( rule.blockPeriod != null && !(rule.blockPeriod > 0) ) {
+			throw new Error(`Invalid blockPeriod: ${rule.blockPeriod}`);
+		}
+
+		if ( rule.mode != null && !RateLimitRedis.MODES.includes(rule.mode) ) {
+			throw new Error(`Invalid mode: ${rule.mode}`);
+		}
+
+		if ( rule.shadowHeaders != null && typeof rule.shadowHeaders !== 'boolean' ) {
+			throw new Error(`Invalid shadowHeaders: ${rule.shadowHeaders}`);
+		}
+
+		if ( rule.shadow != null && rule.shadow !== false ) {
+
+			const options = ['limit', 'timeframe', 'limits', 'algorithm', 'capacity', 'refillRate', 'burst', 'name'];
+
+			if ( typeof rule.shadow !== 'object' || Object.keys(rule.shadow).some( (option) => !options.includes(option) ) ) {
+				throw new Error(`Invalid shadow: ${JSON.stringify(rule.shadow)}`);
+			}
+
+			this._validateRule(rule.shadow);
+
+		}
+
+		if (rule.limits != null) {
+
+			if ( !Array.isArray(rule.limits) || !rule.limits.length ) {
+				throw new Error('Invalid limits: expected a list of limits');
+			}
+
+			const names = rule.limits.map( (window) => {
+
+				if ( !(window.limit > 0) || !(window.timeframe > 0) ) {
+					throw new Error(`Invalid limits: ${JSON.stringify(window)}`);
+				}
+
+				this._validateRule(window);
+
+				return this._limitName(window);
+
+			});
+
+			if ( new Set(names).size !== names.length ) {
+				throw new Error('Invalid limits: names must be unique');
+			}
+
+		}
+
+	}
+	
+	/**
+	Block durations in seconds by amount of violations.
+
+	@method _blockDurations
+	@param {Number|[Number]} blockDuration A duration or an escalating schedule.
+	@return {[Number]}
+	@static
+	@private
+	*/
+	static _blockDurations (blockDuration) {
+
+		const durations = [].concat(blockDuration);
+
+		return durations.length ? durations : [NaN];
+
+	}
+
+	/**
+	Whether a value is a valid request cost, a positive integer.
+
+	@method _isCost
+	@param {*} value
+	@return {Boolean}
+	@static
+	@private
+	*/
+	static _isCost (value) {
+
+		return Number.isInteger(value) && value > 0;
+
+	}
+
+	/**
+	Units a request consumes.
+
+	@method getCost
+	@param {Object} request Request object
+	@param {Number|Function} cost Cost or cost function (default: `options.cost`)
+	@async
+	@return {Promise<Number>} The cost of the request
+	*/
+	async getCost (request, cost = this.cost) {
+
+		if (typeof cost === 'function') {
+			cost = await cost(request);
+		}
+
+		if (cost == null) {
+			return 1;
+		}
+
+		if ( !RateLimitRedis._isCost(cost) ) {
+			throw new Error(`Invalid cost: ${cost}`);
+		}
+
+		return cost;
+
+	}
+
+	/**
+	Name of one of several limits.
+
+	@method _limitName
+	@param {Object} window An entry of `limits`.
+	@return {String}
+	@private
+	*/
+	_limitName (window) {
+
+		return window.name || `${window.limit}/${window.timeframe}s`;
+
+	}
+
+	/**
+	Key of a window. The default algorithm counts under the rate limit key
+	itself, the others under `{<key>}:<algorithm>`, so a rule switching
+	algorithms never reads the state of another one. Each of several limits
+	adds its name, and a trialed `shadow` limit counts under `{<key>}:shadow`.
+
+	@method _windowKey
+	@param {String} key The rate limit key.
+	@param {String} algorithm Algorithm name.
+	@param {String} name Name of one of several limits.
+	@param {Boolean} trial Whether the window belongs to a `shadow` limit.
+	@return {String}
+	@private
+	*/
+	_windowKey (key, algorithm, name, trial) {
+
+		const parts = trial ? ['shadow'] : [];
+
+		if (algorithm !== RateLimitRedis.DEFAULT_ALGORITHM) {
+			parts.push(algorithm);
+		}
+
+		if (name != null) {
+			parts.push(name);
+		}
+
+		return parts.length ? `{${key}}:${parts.join(':')}` : key;
+
+	}
+
+	/**
+	Script arguments of an algorithm for a limit.
+
+	@method _algorithmArguments
+	@param {String} algorithm Algorithm name.
+	@param {Object} window `limit`, `timeframe`, `capacity`, `refillRate` and `burst`.
+	@param {Number} cost The cost of the request.
+	@param {Object} rule The rule of one of several limits, whose `capacity`, `refillRate` and `burst` the window defaults to.
+	@return {Array} The script arguments
+	@private
+	*/
+	_algorithmArguments (algorithm, window, cost, rule = window) {
+
+		const { limit, timeframe } = window;
+		const [capacity, refillRate, burst] = ['capacity', 'refillRate', 'burst'].map( (option) => {
+			return window[option] != null ? window[option] : rule[option];
+		});
+
+		if (algorithm === 'token-bucket') {
+			return [
+				capacity != null ? capacity : limit,
+				refillRate != null ? refillRate : limit / timeframe,
+				cost,
+			];
+		}
+
+		if (algorithm === 'gcra') {
+			return [limit, timeframe * 1000, burst != null ? burst : limit, cost];
+		}
+
+		return [limit, timeframe * 1000, cost];
+
+	}
+
+	/**
+	The limit reported in the result for script arguments: the capacity of a
+	token bucket and the burst of GCRA.
+
+	@method _reportedLimit
+	@param {String} algorithm Algorithm name.
+	@param {Array} args Script arguments.
+	@return {Number}
+	@private
+	*/
+	_reportedLimit (algorithm, args) {
+
+		return algorithm === 'gcra' ? args[2] : args[0];
+
+	}
+
+	/**
+	Time a request of a limit waits at most for its cost to be available
+	again: the window, the refill of its tokens or its GCRA interval.
+
+	@method _retryInterval
+	@param {String} algorithm Algorithm name.
+	@param {Array} args Script arguments.
+	@return {Number} Milliseconds
+	@private
+	*/
+	_retryInterval (algorithm, args) {
+
+		if (algorithm === 'token-bucket') {
+			const [, refillRate, cost] = args;
+			return Math.ceil( Math.max(cost, 1) / refillRate * 1000 );
+		}
+
+		if (algorithm === 'gcra') {
+			const [limit, window, , cost] = args;
+			return Math.ceil( Math.max(cost, 1) * window / limit );
+		}
+
+		return args[1];
+
+	}
+
 	getKey(ip, append) {
 		
 		let ns = ip || 'Invalid IP';
@@ -81,33 +579,78 @@ class RateLimitRedis {
 
 	}
 	
+	/**
+	Identify the client making the request. Each key generator is tried in
+	order and the first one to return a non empty value wins, otherwise the
+	request ip is used, or its network for IPv6 (see `ipv6Subnet`).
+
+	@method getIdentity
+	@param {Object} request Request object
+	@param {Function|[Function]} keyGenerator Key generator(s) (default: `options.keyGenerator`)
+	@async
+	@return {Promise<String>} The client identity
+	*/
+	async getIdentity (request, keyGenerator = this.keyGenerator) {
+
+		const generators = [].concat(keyGenerator || []);
+
+		for (const generator of generators) {
+
+			const identity = await generator(request);
+
+			if (identity != null && identity !== '') {
+				return String(identity);
+			}
+
+		}
+
+		return ipPrefix(request.ip, this.ipv6Subnet);
+
+	}
+
 	_createRedisClient(options = {}) {
 
 		// Check if options is already a connected Redis client instance
-		if (Object.prototype.hasOwnProperty.call(options, 'isOpen')) {
+		if ( RedisStore.isClient(options) ) {
 			this.redisClient = options;
 		} else if (options.rootNodes && Array.isArray(options.rootNodes)) {
 			this.redisClient = createCluster(options);
-			this.redisClient.on('error', console.error);
+			this.redisClient.on('error', (err) => this._onClientError(err) );
 		} else {
 			this.redisClient = createClient(options);
-			this.redisClient.on('error', console.error);
+			this.redisClient.on('error', (err) => this._onClientError(err) );
 		}
 		
 		return this.redisClient;
 	
 	}
 
+	/**
+	Report an error of the client created by the limiter, or of the
+	connection watching the dynamic rules, with a `redisError` event, or on
+	the console when nobody listens.
+
+	@method _onClientError
+	@param {Error} err
+	@private
+	*/
+	_onClientError (err) {
+
+		if ( this.listenerCount('redisError') ) {
+			this.emit('redisError', { error: err });
+		} else {
+			console.error(err);
+		}
+
+	}
+
 	async setNewRequestCount (key, timeframe=this.timeframe) {
 
 		if (!key) {
 			throw new Error('Invalid key');
 		}
 
-		let res = await this.redisClient.set(key, 1);
-		await this.redisClient.expire(key, timeframe);
-
-		return res === 'OK';
+		return this.store.set(key, 1, timeframe);
 
 	}
 
@@ -117,19 +660,19 @@ class RateLimitRedis {
 			throw new Error('Invalid key');
 		}
 		
-		let res = await this.redisClient.get(key);
+		let res = await this.store.get(key);
 			
 		return JSON.parse(res);
 			
 	}
 
-	async incrementRequestCount (key) {
+	async incrementRequestCount (key, cost=1) {
 
 		if (!key) {
 			throw new Error('Invalid key');
 		}
 
-		const res = await this.redisClient.incr(key);
+		const res = await this.store.increment(key, cost);
 
 		
 		if (!res) {
@@ -146,171 +689,1266 @@ class RateLimitRedis {
 			throw new Error('Invalid key');
 		}
 
-		const res = await this.redisClient.ttl(key);
+		const res = await this.store.ttl(key);
 			
-		return res*1000 || defaultTime;
+		return res || defaultTime;
 
 	}
 
-	async reset (key) {
+	/**
+	Reject when a Redis operation takes longer than `redisTimeout`.
 
-		if (!key) {
-			throw new Error('Invalid key');
+	@method _withTimeout
+	@param {Promise} operation The Redis operation.
+	@return {Promise}
+	@private
+	*/
+	_withTimeout (operation) {
+
+		const promise = Promise.resolve(operation);
+
+		if (!this.redisTimeout) {
+			return promise;
 		}
 
-		const res = await this.redisClient.del(key);
+		let timer;
+
+		const timeout = new Promise( (resolve, reject) => {
+			timer = setTimeout( () => {
+				reject( new Error(`Redis operation timed out after ${this.redisTimeout}ms`) );
+			}, this.redisTimeout);
+		});
+
+		// the operation may still fail after it timed out
+		promise.catch( () => {} );
+
+		return Promise.race([promise, timeout]).finally( () => clearTimeout(timer) );
 
-		return res === 1;
 	}
 
 	/**
-	Process http request
+	Connect to Redis before an operation, unless connected or `autoConnect` is
+	disabled.
 
-	@method process
-	@param {Object} request Request object
-	@param {String} hostname The request host name.
-	@param {String} url The url of the request.
-	@param {String} originalUrl The url or the request (express style).
-	@param {String} method The request method.
-	@param {String} ip The ip address for the request.
+	@method _connectStore
 	@async
-	@return {Promise<Object>} Promise object returning the request response
+	@return {Promise}
+	@private
 	*/
-	async process (request) {
+	async _connectStore () {
 
-		if ( !this.redisClient.isOpen && this.autoConnect ) {
-			await this.connect();
+		if ( !this.store.isOpen && this.autoConnect ) {
+			await this._withTimeout( this.connect() );
 		}
-		
-		let requestCount,
-			limit = this.limit,
-			timeframe = this.timeframe,
-			key = this.getKey(request.ip),
-			response = {
-				status: 200,
-			};
-		
-		// ignore whitelisted ips
-		if ( Array.isArray(this.whitelist) && this.whitelist.length ) {
-			
-			if ( this.whitelist.includes(request.ip) ) {
-				// delete response.limit;
-				return response;
 
-			}
+	}
 
-		}
-		
-		// custom routes
-		if (Array.isArray(this.customRoutes) && this.customRoutes.length) {
-			
-			let custom = this.customRoutes.find( (route) => {
+	/**
+	Start rate limiting in memory.
 
-				if ( !( Object.prototype.hasOwnProperty.call(route, 'method') ) ) {
-					route.method = 'get';
-				}
-				
-				let samePath,
-					sameMethod,
-					reqPath = request.url || request.originalUrl;
+	@method _startFallback
+	@param {Error} err The Redis error.
+	@param {Object} details `{ key, rule, request }` of the failed operation, if any.
+	@private
+	*/
+	_startFallback (err, details = {}) {
 
-				if (reqPath && reqPath.length) {
+		this._fallbackRetryAt = Date.now() + this.fallback.retryInterval;
 
-					if ( reqPath.endsWith('/') ) {
-						reqPath = reqPath.slice(0, -1);
-					}
+		if (this._fallbackActive) {
+			return;
+		}
 
-					// if ( route.path.endsWith('/') ) {
-					// 	route.path = route.path.slice(0, -1);
-					// }
+		this._fallbackActive = true;
 
-					if ( Object.prototype.toString.call(route.path) === '[object RegExp]' ) {
-						samePath = route.path.test(reqPath);
-					} else {
-						samePath = route.path === reqPath;
-					}
+		this.emit('degraded', {
+			error: err,
+			...details,
+			policy: 'fallback',
+		});
 
-				}
+	}
+
+	/**
+	Go back to rate limiting with Redis.
+
+	@method _stopFallback
+	@private
+	*/
+	_stopFallback () {
+
+		this._fallbackActive = false;
+		this.emit('recovered');
+
+	}
+
+	/**
+	Divide the limits of an algorithm's arguments by the expected amount of
+	nodes, since each node counts on its own while falling back.
+
+	@method _fallbackArguments
+	@param {String} algorithm Algorithm name.
+	@param {Array} args Script arguments.
+	@return {Array} The local arguments
+	@private
+	*/
+	_fallbackArguments (algorithm, args) {
+
+		const nodes = this.fallback.nodes;
+
+		return args.map( (value, index) => {
+
+			// limit, capacity or burst
+			if ( index === 0 || (algorithm === 'gcra' && index === 2) ) {
+				return Math.max( Math.floor(value / nodes), 1 );
+			}
+
+			// refill rate
+			if (algorithm === 'token-bucket' && index === 1) {
+				return value / nodes;
+			}
+
+			return value;
+
+		});
+
+	}
+
+	/**
+	Emit the outcome of a request: `blocked` while its key is blocked,
+	`limited` when rejected and `allowed` otherwise. Peeks, penalties and
+	rewards aren't requests and emit nothing.
+
+	@method _emitResult
+	@param {Object} result The result.
+	@param {Object} details
+	@param {String} details.key The rate limit key.
+	@param {String} details.rule Policy name of the rule.
+	@param {Number} details.count Units counted in the most restrictive window.
+	@param {Object} details.request Request object, if any.
+	@param {String} details.mode Evaluation mode.
+	@param {Number} details.start Time the request started being processed (`performance.now()`).
+	@private
+	*/
+	_emitResult (result, details) {
+
+		const { key, rule, count, request, mode, start } = details;
+
+		if (mode) {
+			return;
+		}
+
+		const event = {
+			key,
+			rule,
+			count,
+			remaining: result.remaining,
+			limit: result.limit,
+			request,
+			result,
+			latency: performance.now() - start,
+		};
+
+		// requests a rule in shadow mode or a shadow limit would reject are allowed
+		if (result.status === 429 && result.blocked) {
+			this.emit('blocked', { ...event, reason: 'block' });
+		} else if (result.status === 429) {
+			this.emit('limited', event);
+		} else if (result.wouldLimit) {
+			this.emit('allowed', { ...event, wouldLimit: true });
+		} else {
+			this.emit('allowed', event);
+		}
+
+	}
+
+	/**
+	Apply the `onRedisError` policy to a failed Redis operation.
+
+	@method _handleRedisError
+	@param {Error} err The Redis error.
+	@param {Object} details `{ key, rule, request }` of the failed operation.
+	@param {Object} response The response built so far.
+	@param {Number} retryMs Milliseconds a rejected request should wait (see `_retryInterval()`).
+	@async
+	@return {Promise<Object>} The response to use
+	@private
+	*/
+	async _handleRedisError (err, details, response, retryMs) {
+
+		if (this.onRedisError == null) {
+			throw err;
+		}
+
+		this.emit('degraded', {
+			error: err,
+			...details,
+			policy: typeof this.onRedisError === 'function' ? 'custom' : this.onRedisError,
+		});
+
+		if (typeof this.onRedisError === 'function') {
+
+			const result = await this.onRedisError(err, details.request, response);
+
+			if (result === null || typeof result !== 'object') {
+				throw new Error(`Invalid onRedisError result: ${result}`);
+			}
+
+			return result;
+
+		}
+
+		if (this.onRedisError === 'open') {
+			return {
+				status: 200,
+				degraded: true,
+			};
+		}
+
+		return {
+			...response,
+			status: 429,
+			remaining: 0,
+			retry: Math.ceil(retryMs / 1000),
+			retryMs: retryMs,
+			reset: Date.now() + retryMs,
+			error: err,
+			degraded: true,
+		};
+
+	}
+
+	/**
+	Delete a rate limit key, along with the windows the rules keep for it
+	with any algorithm, including named limits and shadow limits (see
+	`_windowKey()`).
+
+	@method reset
+	@param {String} key
+	@async
+	@return {Promise<Boolean>} Whether anything was deleted
+	*/
+	async reset (key) {
+
+		if (!key) {
+			throw new Error('Invalid key');
+		}
 
-				sameMethod = Object.prototype.toString.call(route.method) === '[object String]' &&
-					Object.prototype.toString.call(request.method) === '[object String]' &&
-					route.method.toLowerCase() === request.method.toLowerCase();
-				
-				return  samePath && sameMethod;
+		const deleted = await Promise.all( this._windowKeys(key).map( (windowKey) => {
+			return this.store.reset(windowKey);
+		}) );
+
+		return deleted.includes(true);
+	}
 
+	/**
+	Keys of every window the default rule and the custom routes may keep for
+	a rate limit key.
+
+	@method _windowKeys
+	@param {String} key The rate limit key.
+	@return {[String]}
+	@private
+	*/
+	_windowKeys (key) {
+
+		const keys = new Set();
+		const add = (rule, trial) => {
+			const names = rule.limits ? rule.limits.map( (window) => this._limitName(window) ) : [null];
+
+			Object.keys(RateLimitRedis.ALGORITHMS).forEach( (algorithm) => {
+				names.forEach( (name) => keys.add( this._windowKey(key, algorithm, name, trial) ) );
 			});
+		};
+
+		[this._rule(), ...(this.customRoutes || []).map( (route) => this._rule(route) )].forEach( (rule) => {
+
+			add(rule, false);
+
+			if (rule.shadow) {
+				add(this._trialRule(rule), true);
+			}
+
+		});
+
+		return [...keys];
+
+	}
+
+	/**
+	Process http request
+
+	@method process
+	@param {Object} request Request object
+	@param {String} hostname The request host name.
+	@param {String} url The url of the request.
+	@param {String} originalUrl The url or the request (express style).
+	@param {String} method The request method.
+	@param {String} ip The ip address for the request.
+	@async
+	@return {Promise<Object>} Promise object returning the request response
+	*/
+	async process (request) {
+
+		const start = performance.now();
+
+		await this._startRules();
+
+		const response = {
+			status: 200,
+		};
+		
+		const ip = normalizeIp(request.ip);
+
+		// reject blacklisted ips, even when also whitelisted
+		if ( this._isBlacklisted(ip) ) {
+
+			response.status = this.blacklistStatus;
+			response.blacklisted = true;
+			response.error = new Error(this.blacklistStatus === 403 ? 'Forbidden' : 'Too Many Requests');
+
+			const event = { ip, request, result: response, reason: 'blacklist', latency: performance.now() - start };
+
+			if (this.mode === 'shadow') {
+				this._shadow(response, this._rule());
+				this.emit('allowed', { ...event, wouldLimit: true });
+			} else {
+				this.emit('blocked', event);
+			}
+
+			return response;
+
+		}
+
+		// ignore whitelisted ips
+		if ( this._isWhitelisted(ip) ) {
+			this.emit('whitelisted', { ip, request, latency: performance.now() - start });
+			return response;
+		}
+		
+		// custom routes
+		const route = this._matchRoute(request);
+		const rule = this._routeRule(route);
+
+		if (route && route.route.ignore) {
+			this.emit('ignored', { rule: rule.policy, request, latency: performance.now() - start });
+			return response;
+		}
+
+		const identity = await this.getIdentity(request, rule.keyGenerator);
+		const key = this.getKey(identity, route && route.name);
+		const cost = await this.getCost(request, rule.cost);
+		const result = await this._consume(key, rule, { cost, request, start });
+
+		// Redis is unavailable while degraded. Recorded without delaying the
+		// response, failures are emitted as redisError
+		if (this.analytics && !result.degraded) {
+			this._recordAnalytics(identity, result, { key, rule: rule.policy, request });
+		}
+
+		return result;
+
+	}
+
+	/**
+	Find the custom route matching a request.
+
+	@method _matchRoute
+	@param {Object} request Request object, or any object with a `url` and `method`.
+	@return {Object} The compiled route (see `routes.mjs`) or `undefined`
+	@private
+	*/
+	_matchRoute (request) {
+
+		const path = requestPath(request);
+
+		return this._routes.find( (route) => route.matches(request.method, path) );
+
+	}
+
+	/**
+	Resolve the rule of a custom route, or the default rule without one.
+
+	@method _routeRule
+	@param {Object} route Compiled route, if any.
+	@return {Object} The rule
+	@private
+	*/
+	_routeRule (route) {
+
+		if (!route) {
+			return this._rule();
+		}
+
+		const rule = this._rule(route.route);
+
+		rule.policy = route.route.name || route.name;
+
+		return rule;
+
+	}
+
+	/**
+	Consume units of a rate limit for any key, e.g. a user name for login
+	attempts or a queue name for its consumers. The key is prefixed with the
+	namespace.
+
+	@method consume
+	@param {String} key The rate limit key.
+	@param {Object} options Rule options overriding the limiter's: `cost`, `limit`, `timeframe`, `limits`, `algorithm`, `capacity`, `refillRate`, `burst`, `blockDuration`, `blockPeriod`, `mode` and `name`.
+	@async
+	@return {Promise<Object>} Same result as `process()`
+	@example
+		const result = await limiter.consume(`login:${username}`, { limit: 5, timeframe: 900 });
+
+		if (result.status === 429) {
+			// too many attempts
+		}
+	*/
+	async consume (key, options = {}) {
+
+		await this._startRules();
+
+		return this._consume( this._namespacedKey(key), this._customRule(options), {
+			cost: options.cost != null ? options.cost : 1,
+		});
+
+	}
+
+	/**
+	Consume units of a rate limit even when that exceeds the limit, e.g. after
+	a failed login attempt.
+
+	@method penalty
+	@param {String} key The rate limit key.
+	@param {Number} points Units to consume (default: 1).
+	@param {Object} options Rule options, see `consume()`.
+	@async
+	@return {Promise<Object>} Same result as `process()`
+	*/
+	async penalty (key, points = 1, options = {}) {
+
+		if ( !RateLimitRedis._isCost(points) ) {
+			throw new Error(`Invalid points: ${points}`);
+		}
+
+		await this._startRules();
+
+		return this._consume( this._namespacedKey(key), this._customRule(options), {
+			cost: points,
+			mode: 'force',
+		});
+
+	}
+
+	/**
+	Give consumed units back, e.g. after a successful login attempt.
+
+	@method reward
+	@param {String} key The rate limit key.
+	@param {Number} points Units to give back (default: 1).
+	@param {Object} options Rule options, see `consume()`.
+	@async
+	@return {Promise<Object>} Same result as `process()`
+	*/
+	async reward (key, points = 1, options = {}) {
+
+		if ( !RateLimitRedis._isCost(points) ) {
+			throw new Error(`Invalid points: ${points}`);
+		}
+
+		await this._startRules();
+
+		return this._consume( this._namespacedKey(key), this._customRule(options), {
+			cost: -points,
+			mode: 'force',
+		});
+
+	}
+
+	/**
+	Get the state of a rate limit without consuming anything. `status` is
+	429 when a request costing `options.cost` (default: 1) would be rejected.
+
+	@method get
+	@param {String} key The rate limit key.
+	@param {Object} options Rule options, see `consume()`.
+	@async
+	@return {Promise<Object>} Same result as `process()`
+	*/
+	async get (key, options = {}) {
+
+		await this._startRules();
+
+		return this._consume( this._namespacedKey(key), this._customRule(options), {
+			cost: options.cost != null ? options.cost : 1,
+			mode: 'peek',
+		});
+
+	}
+
+	/**
+	Block a key: requests are rejected until the block expires, without being
+	counted.
+
+	@method block
+	@param {String} key The rate limit key.
+	@param {Number} seconds Duration of the block.
+	@async
+	@return {Promise<Boolean>} Whether the block was set
+	*/
+	async block (key, seconds) {
+
+		if ( !(seconds > 0) ) {
+			throw new Error(`Invalid block duration: ${seconds}`);
+		}
+
+		await this._connectStore();
+
+		return this._withTimeout( this.store.set( this._blockKey( this._namespacedKey(key) ), 1, seconds ) );
+
+	}
+
+	/**
+	Prefix a key passed to the public API with the namespace.
+
+	@method _namespacedKey
+	@param {String} key
+	@return {String}
+	@private
+	*/
+	_namespacedKey (key) {
+
+		if (key == null || key === '') {
+			throw new Error('Invalid key');
+		}
+
+		return this.getKey( String(key) );
+
+	}
+
+	/**
+	Key blocking a rate limit key, in the same Redis Cluster hash slot.
+
+	@method _blockKey
+	@param {String} key The rate limit key.
+	@return {String}
+	@private
+	*/
+	_blockKey (key) {
+
+		return `{${key}}:block`;
+
+	}
+
+	/**
+	Key counting the rejections of a rate limit key within the block period.
+
+	@method _violationsKey
+	@param {String} key The rate limit key.
+	@return {String}
+	@private
+	*/
+	_violationsKey (key) {
+
+		return `{${key}}:violations`;
+
+	}
+
+	/**
+	Options of `evaluateAll()` checking whether a key is blocked and, when the
+	rule has a `blockDuration` and isn't in shadow mode, blocking it on a
+	rejection.
+
+	@method _blockOptions
+	@param {String} key The namespaced rate limit key.
+	@param {Object} rule
+	@param {String} mode
+	@return {Object}
+	@private
+	*/
+	_blockOptions (key, rule, mode) {
+
+		const options = { mode, blockKey: this._blockKey(key) };
+
+		if (rule.blockDuration != null && rule.mode !== 'shadow') {
+			const durations = RateLimitRedis._blockDurations(rule.blockDuration);
+
+			options.violationsKey = this._violationsKey(key);
+			options.blockDurations = durations.map( (duration) => Math.ceil(duration * 1000) );
+			options.blockPeriod = Math.ceil( (rule.blockPeriod || RateLimitRedis.DEFAULT_BLOCK_PERIOD) * 1000 );
+		}
+
+		return options;
+
+	}
+
+	/**
+	Validate rule options passed to the public API and resolve the rule.
+
+	@method _customRule
+	@param {Object} options
+	@return {Object} The rule
+	@private
+	*/
+	_customRule (options) {
+
+		this._validateRule(options);
+
+		const rule = this._rule(options);
+
+		rule.policy = options.name || rule.policy;
+
+		return rule;
+
+	}
+
+	/**
+	Resolve the rule applying to a request from the limiter's options and
+	the overrides of a custom route.
+
+	@method _rule
+	@param {Object} overrides Custom route or `consume()` options.
+	@param {Object} base Options overridden, the limiter's by default.
+	@return {Object} The rule
+	@private
+	*/
+	_rule (overrides = {}, base = this) {
+
+		const rule = {
+			policy: 'default',
+			limit: base.limit,
+			timeframe: base.timeframe,
+			limits: base.limits,
+			algorithm: base.algorithm,
+			capacity: base.capacity,
+			refillRate: base.refillRate,
+			burst: base.burst,
+			keyGenerator: base.keyGenerator,
+			cost: base.cost,
+			blockDuration: base.blockDuration,
+			blockPeriod: base.blockPeriod,
+			mode: base.mode,
+			shadowHeaders: base.shadowHeaders,
+			shadow: base.shadow,
+		};
+
+		[
+			'limit', 'timeframe', 'algorithm', 'capacity', 'refillRate', 'burst', 'keyGenerator', 'cost',
+			'blockDuration', 'blockPeriod', 'mode', 'shadowHeaders', 'shadow',
+		].forEach( (option) => {
+			if (overrides[option] != null) {
+				rule[option] = overrides[option];
+			}
+		});
+
+		// a route's own limits replace the global ones
+		if (overrides.limits != null) {
+			rule.limits = overrides.limits;
+		} else if (overrides.limit != null || overrides.timeframe != null) {
+			rule.limits = null;
+		}
+
+		return rule;
+
+	}
+
+	/**
+	Allow a request of a rule in `shadow` mode, reporting with `wouldLimit`
+	whether it would have been rejected.
+
+	@method _shadow
+	@param {Object} response The result of the request, updated in place.
+	@param {Object} rule
+	@return {Object} The result
+	@private
+	*/
+	_shadow (response, rule) {
+
+		response.shadow = true;
+
+		if (rule.shadowHeaders === false) {
+			response.headers = false;
+		}
+
+		if (response.status === 429 || response.status === 403) {
+			response.wouldLimit = true;
+			response.status = 200;
+			delete response.error;
+		}
+
+		return response;
+
+	}
+
+	/**
+	Resolve the `shadow` limit of a rule, which never blocks.
+
+	@method _trialRule
+	@param {Object} rule The enforced rule.
+	@return {Object} The rule of the shadow limit
+	@private
+	*/
+	_trialRule (rule) {
+
+		const trial = this._rule(rule.shadow, rule);
+
+		trial.policy = rule.shadow.name || `${rule.policy}:shadow`;
+		trial.mode = 'enforce';
+		trial.blockDuration = null;
+		trial.shadow = null;
+
+		return trial;
+
+	}
 
-			if (custom) {
+	/**
+	Count a request against the `shadow` limit of a rule, in windows of its
+	own. The limit never rejects nor blocks, and its failures are left to
+	the enforced rule to report.
+
+	@method _trial
+	@param {String} key The namespaced rate limit key.
+	@param {Object} rule The enforced rule.
+	@param {Object} options `_consume()` options.
+	@async
+	@return {Promise<Object>} `{ policy, limit, timeframe, remaining, reset, wouldLimit }`, or null when it failed
+	@private
+	*/
+	async _trial (key, rule, options) {
+
+		const trial = this._trialRule(rule);
+
+		try {
+			const { policy, limit, timeframe, remaining, reset, status } = await this._consume(key, trial, { ...options, trial: true });
+
+			return { policy, limit, timeframe, remaining, reset, wouldLimit: status === 429 };
+		} catch (err) {
+			return null;
+		}
+
+	}
+
+	/**
+	Evaluate a rule for a key.
+
+	@method _consume
+	@param {String} key The namespaced rate limit key.
+	@param {Object} rule The rule (see `_rule()`).
+	@param {Object} options
+	@param {Number} options.cost Units to consume, negative to give them back.
+	@param {String} options.mode `peek` or `force` (see `RedisStore.evaluateAll()`).
+	@param {Object} options.request Request object, if any.
+	@param {Boolean} options.trial Whether the rule is a `shadow` limit (see `_trial()`).
+	@async
+	@return {Promise<Object>} The result
+	@private
+	*/
+	async _consume (key, rule, options) {
+
+		const { cost, mode, request, trial, start = performance.now() } = options;
+		const algorithm = rule.algorithm;
+		const limits = rule.limits;
+		const blockOptions = trial ? { mode } : this._blockOptions(key, rule, mode);
+		const response = {
+			status: 200,
+		};
+
+		if ( !Number.isInteger(cost) ) {
+			throw new Error(`Invalid cost: ${cost}`);
+		}
+
+		// check that a store exists
+		if (!this.store) {
+			throw new Error('Unable to connect to redis');
+		}
+
+		// one window per limit, each with its own key in the same hash slot
+		const windows = (limits || [rule]).map( (window) => {
+
+			const args = this._algorithmArguments(algorithm, window, cost, rule);
+
+			return {
+				policy: limits ? this._limitName(window) : rule.policy,
+				key: this._windowKey( key, algorithm, limits ? this._limitName(window) : null, trial ),
+				timeframe: window.timeframe,
+				limit: this._reportedLimit(algorithm, args),
+				args: args,
+			};
+
+		});
+
+		response.policy = windows[0].policy;
+		response.limit = windows[0].limit;
+		response.timeframe = windows[0].timeframe;
 
-				if (custom.ignore) {
-					return response;
+		let replies;
+
+		// while falling back, only try Redis again once it may have recovered
+		// or, when closed, once it may be reconnected by _connectStore()
+		const useStore = !this._fallbackActive || (
+			Date.now() >= this._fallbackRetryAt &&
+			( this.store.isReady !== false || (!this.store.isOpen && this.autoConnect) )
+		);
+
+		if (useStore) {
+
+			try {
+
+				await this._connectStore();
+
+				// count and decide in a single atomic round trip
+				replies = await this._withTimeout( this.store.evaluateAll(
+					algorithm,
+					windows.map( (window) => window.key ),
+					windows.map( (window) => window.args ),
+					blockOptions
+				) );
+
+				if (this._fallbackActive) {
+					this._stopFallback();
 				}
-				
-				let append = `${custom.method.toLowerCase()}:${custom.path.toString().toLowerCase()}`;
-				key = this.getKey(request.ip, append);
 
-				if (custom.limit != null) {
-					limit = custom.limit;
+			} catch (err) {
+
+				if (trial) {
+					throw err;
 				}
 
-				if (custom.timeframe != null) {
-					timeframe = custom.timeframe; 
+				const details = { key, rule: rule.policy, request };
+
+				this.emit('redisError', { error: err, ...details, latency: performance.now() - start });
+
+				if (!this.fallback) {
+					const retryMs = Math.max( ...windows.map( (window) => this._retryInterval(algorithm, window.args) ) );
+					const result = await this._handleRedisError(err, details, response, retryMs);
+
+					if (!mode && rule.mode === 'shadow') {
+						this._shadow(result, rule);
+					}
+
+					this._emitResult(result, { ...details, mode, start });
+					return result;
 				}
-				
+
+				this._startFallback(err, details);
+
 			}
 
 		}
 
-		// check that redis client exists
-		if (!this.redisClient) {
-			throw new Error('Unable to connect to redis');
+		if (!replies) {
+
+			windows.forEach( (window) => {
+				window.args = this._fallbackArguments(algorithm, window.args);
+				window.limit = this._reportedLimit(algorithm, window.args);
+			});
+
+			response.degraded = true;
+			replies = this.memoryStore.evaluateAll(
+				algorithm,
+				windows.map( (window) => window.key ),
+				windows.map( (window) => window.args ),
+				blockOptions
+			);
+
 		}
 
-		response.limit = limit;
-		response.timeframe = timeframe;
+		const rejected = replies.some( (reply) => !reply[2] );
+		const blocked = replies.some( (reply) => reply[4] );
 
-		requestCount = await this.getRequestCount(key);
-		
-		if (!requestCount) {
-			
-			await this.setNewRequestCount(key, timeframe);
+		const results = windows.map( (window, index) => {
+
+			let [requestCount, ttl, allowed, reset] = replies[index];
 
-			response.remaining = limit - 1;
+			// the windows allowing a rejected or peeked request didn't count it
+			if ( (rejected || mode === 'peek') && allowed ) {
+				requestCount -= cost;
+			}
+
+			return {
+				policy: window.policy,
+				limit: window.limit,
+				timeframe: window.timeframe,
+				count: requestCount,
+				remaining: blocked ? 0 : Math.max( window.limit - requestCount, 0 ),
+				reset: Date.now() + (reset != null ? reset : ttl),
+				allowed: Boolean(allowed),
+				ttl: ttl,
+			};
+
+		});
+
+		// report the limit that tripped or else the one closest to tripping
+		const denied = results.filter( (result) => !result.allowed );
+		const restrictive = rejected ?
+			denied.reduce( (a, b) => b.ttl > a.ttl ? b : a ) :
+			results.reduce( (a, b) => b.remaining < a.remaining ? b : a );
+
+		response.policy = restrictive.policy;
+		response.limit = restrictive.limit;
+		response.timeframe = restrictive.timeframe;
+		response.remaining = restrictive.remaining;
+		response.reset = restrictive.reset;
+
+		if (results.length > 1) {
+			response.limits = results.map( ({ policy, limit, timeframe, remaining, reset }) => {
+				return { policy, limit, timeframe, remaining, reset };
+			});
+		}
+
+		if (blocked) {
+			response.blocked = true;
+		}
+
+		if (rejected) {
+			response.retry = Math.ceil(restrictive.ttl / 1000);
+			response.retryMs = restrictive.ttl;
+			response.error = new Error('Too Many Requests');
+			response.status = 429;
+		}
+
+		if (trial) {
 			return response;
 		}
-		
-		// add current request to the total count
-		requestCount++;
-		
-		response.remaining = Math.max( limit - requestCount, 0 );
-		
-		// if number of requests made is greater than or equal rate limit return 429
-		if (requestCount >= limit) {
-			
-			let ttl = await this.getTimeLeft(key, timeframe);
-			
-			// If ttl is -1 (has no expire), -2 (does not exist) 
-			// or 0 (expired) set a new key.
-			if (ttl <= 0) {
 
-				await this.setNewRequestCount(key, timeframe);
-				
-				response.remaining = limit - 1;
-				return response;
+		// a shadow limit is counted once the rule is, so only one of them connects
+		if (!mode && rule.shadow) {
+
+			const { wouldLimit, ...shadowLimit } = await this._trial(key, rule, { cost, request, start }) || {};
+
+			if (shadowLimit.policy) {
+				response.shadowLimit = shadowLimit;
+			}
+
+			if (wouldLimit) {
+				response.wouldLimit = true;
+			}
+
+		}
+
+		// peeks and forced updates report the enforced decision
+		if (!mode && rule.mode === 'shadow') {
+
+			// shadow rules don't block, see _blockOptions()
+			if (rejected && !blocked && rule.blockDuration != null) {
+				response.wouldBlock = true;
+			}
+
+			this._shadow(response, rule);
+
+		}
+
+		this._emitResult(response, { key, rule: rule.policy, count: restrictive.count, request, mode, start });
+
+		return response;
+
+	}
+
+	/**
+	The identities or routes with the most requests or rejections within a
+	period, summed over the analytics buckets overlapping it.
+
+	@method topOffenders
+	@param {Object} options
+	@param {String} options.metric `limited` for rejected requests (429s) or `requests` for all of them (default: `limited`).
+	@param {String} options.by `identity` or `route` (default: `identity`).
+	@param {Number} options.period Period in seconds, up to now and at most the analytics retention plus a bucket (default: 3600).
+	@param {Number} options.count Maximum amount of offenders (default: 20).
+	@async
+	@return {Promise<[Object]>} `{ identity, count }` or `{ route, count }` from the highest count
+	@example
+		// top 20 throttled IPs in the last hour
+		const offenders = await limiter.topOffenders({ metric: 'limited', by: 'identity', period: 3600, count: 20 });
+	*/
+	async topOffenders (options = {}) {
+
+		if (!this.analytics) {
+			throw new Error('Analytics are not enabled');
+		}
+
+		const { metric = 'limited', by = 'identity', period = 3600, count = 20 } = options;
+
+		if ( !['limited', 'requests'].includes(metric) ) {
+			throw new Error(`Invalid metric: ${metric}`);
+		}
+
+		if ( !['identity', 'route'].includes(by) ) {
+			throw new Error(`Invalid by: ${by}`);
+		}
+
+		if ( !(period > 0) ) {
+			throw new Error(`Invalid period: ${period}`);
+		}
+
+		if ( !Number.isInteger(count) || count < 1 ) {
+			throw new Error(`Invalid count: ${count}`);
+		}
+
+		const now = Date.now();
+		// older buckets have expired
+		const since = now - Math.min(period, this.analytics.bucket + this.analytics.retention) * 1000;
+		const keys = [];
+
+		for (let bucket = this._analyticsBucket(now); bucket >= this._analyticsBucket(since); bucket -= this.analytics.bucket) {
+			keys.push( this._analyticsKey(metric, by, bucket) );
+		}
+
+		await this._connectStore();
+
+		const top = await this._withTimeout( this.store.topScores(keys, count) );
+
+		return top.map( ([member, score]) => ({ [by]: member, count: score }) );
+
+	}
+
+	/**
+	Count a request, and its rejection, for its identity and route in the
+	current analytics bucket. Failures are emitted as `redisError` and don't
+	fail the request.
+
+	@method _recordAnalytics
+	@param {String} identity
+	@param {Object} result The result of the request.
+	@param {Object} details `key`, `rule` and `request`, for the `redisError` event.
+	@async
+	@return {Promise}
+	@private
+	*/
+	async _recordAnalytics (identity, result, details) {
+
+		const bucket = this._analyticsBucket( Date.now() );
+		const metrics = result.status === 429 ? ['requests', 'limited'] : ['requests'];
+		const keys = [],
+			members = [];
+
+		metrics.forEach( (metric) => {
+			keys.push( this._analyticsKey(metric, 'identity', bucket), this._analyticsKey(metric, 'route', bucket) );
+			members.push(identity, details.rule);
+		});
+
+		try {
+			await this._withTimeout( this.store.incrementScores(keys, members, this.analytics.bucket + this.analytics.retention) );
+		} catch (err) {
+			this.emit('redisError', { error: err, ...details });
+		}
+
+	}
+
+	/**
+	Start in seconds of the analytics bucket containing a time.
+
+	@method _analyticsBucket
+	@param {Number} time Time in milliseconds.
+	@return {Number}
+	@private
+	*/
+	_analyticsBucket (time) {
+
+		const size = this.analytics.bucket;
+
+		return Math.floor(time / 1000 / size) * size;
+
+	}
+
+	/**
+	Sorted set of an analytics bucket. All of them share a Redis Cluster
+	hash slot so a period can be summed in one script.
+
+	@method _analyticsKey
+	@param {String} metric `requests` or `limited`.
+	@param {String} by `identity` or `route`.
+	@param {Number} bucket Start of the bucket in seconds.
+	@return {String}
+	@private
+	*/
+	_analyticsKey (metric, by, bucket) {
+
+		return `{${this.analytics.key}}:${metric}:${by}:${bucket}`;
+
+	}
+
+	/**
+	Load the dynamic rules stored in Redis and apply them over the
+	constructor options. Without stored rules the constructor options apply.
+	Invalid rules are rejected with a `rulesError` event and the current
+	rules stay active.
+
+	@method loadRules
+	@async
+	@return {Promise<Boolean>} Whether the rules were applied
+	*/
+	async loadRules () {
+
+		if (!this.rules) {
+			throw new Error('Dynamic rules are not enabled');
+		}
+
+		const json = await this.store.get(this.rules.key);
+
+		let rules = null,
+			ruleset;
+
+		try {
+			if (json != null) {
+				rules = RateLimitRedis._parseRules(json);
+			}
+			ruleset = this._ruleset({ ...this._options, ...rules });
+		} catch (err) {
+			this.emit('rulesError', err);
+			return false;
+		}
+
+		Object.assign(this, ruleset);
+		this.emit('rules', rules);
+
+		return true;
+
+	}
+
+	/**
+	Validate, store and publish dynamic rules. Every limiter watching the
+	same key applies them.
+
+	@method setRules
+	@param {Object} rules Any of `RULE_OPTIONS`.
+	@async
+	@return {Promise<Boolean>} Whether the rules were stored
+	@example
+		await limiter.setRules({
+			limit: 50,
+			customRoutes: [
+				{ path: '/login', method: 'post', limit: 5, timeframe: 60 },
+			],
+		});
+	*/
+	async setRules (rules) {
+
+		if (!this.rules) {
+			throw new Error('Dynamic rules are not enabled');
+		}
+
+		const json = JSON.stringify(rules);
+
+		// throws on invalid rules, before they reach other limiters
+		const ruleset = this._ruleset({ ...this._options, ...RateLimitRedis._parseRules(json) });
+		const stored = await this.store.set(this.rules.key, json);
+
+		Object.assign(this, ruleset);
+
+		if (typeof this.store.publish === 'function') {
+			await this.store.publish(this.rules.channel, this.rules.key);
+		}
+
+		return stored;
+
+	}
+
+	/**
+	Subscribe to rule changes and load the current rules. Called by
+	`connect()` and before the first request when dynamic rules are enabled.
+
+	@method watchRules
+	@async
+	@return {Promise}
+	*/
+	watchRules () {
+
+		if (!this.rules) {
+			return Promise.reject( new Error('Dynamic rules are not enabled') );
+		}
+
+		if (!this._rulesWatch) {
+			this._rulesWatch = this._subscribeRules().catch( (err) => {
+				this._rulesWatch = null;
+				throw err;
+			});
+		}
+
+		return this._rulesWatch;
+
+	}
+
+	/**
+	@method _subscribeRules
+	@async
+	@return {Promise<Function>} Function unsubscribing, if the store supports it
+	@private
+	*/
+	async _subscribeRules () {
+
+		let unsubscribe = null;
+
+		if (typeof this.store.subscribe === 'function') {
+			unsubscribe = await this.store.subscribe(this.rules.channel, () => {
+				this.loadRules().catch( (err) => this.emit('rulesError', err) );
+			}, (err) => this._onClientError(err) );
+		}
+
+		try {
+			await this.loadRules();
+		} catch (err) {
+			if (unsubscribe) {
+				await unsubscribe().catch( () => {} );
+			}
+			throw err;
+		}
+
+		return unsubscribe;
+
+	}
+
+	/**
+	Watch the dynamic rules, if enabled, before the first request. Requests
+	are processed with the current rules when they can't be loaded.
 
+	@method _startRules
+	@async
+	@return {Promise}
+	@private
+	*/
+	async _startRules () {
+
+		if (!this.rules || this._rulesWatch) {
+			return;
+		}
+
+		try {
+			if ( !this.store.isOpen && this.autoConnect ) {
+				await this._withTimeout( this.connect() );
 			} else {
-				response.retry = Math.ceil(ttl/1000);
-				response.error = new Error('Too Many Requests');
-				response.status = 429;
-				return response;
+				await this._withTimeout( this.watchRules() );
 			}
+		} catch (err) {
+			this.emit('rulesError', err);
+		}
+
+	}
+
+	/**
+	Parse dynamic rules.
+
+	@method _parseRules
+	@param {String} json
+	@return {Object}
+	@static
+	@private
+	*/
+	static _parseRules (json) {
+
+		const rules = JSON.parse(json);
 
+		if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+			throw new Error('Invalid rules: expected an object');
 		}
-		
-		// counter may have expired at this point
-		await this.incrementRequestCount(key);
 
-		return Promise.resolve(response);
+		Object.keys(rules).forEach( (option) => {
+			if ( !RateLimitRedis.RULE_OPTIONS.includes(option) ) {
+				throw new Error(`Invalid rules: unknown option ${option}`);
+			}
+		});
+
+		return rules;
 
 	}
 
@@ -323,11 +1961,19 @@ class RateLimitRedis {
 	*/
 	connect () {
 
-		if (!this.redisClient) {
+		if (!this.store) {
 			throw new Error('Unable to connect to redis');
 		}
 
-		return this.redisClient.connect();
+		this._disconnecting = false;
+
+		const connected = this.store.connect();
+
+		if (!this.rules) {
+			return connected;
+		}
+
+		return Promise.resolve(connected).then( (client) => this.watchRules().then( () => client ) );
 
 	}
 	/**
@@ -339,11 +1985,19 @@ class RateLimitRedis {
 	*/
 	disconnect () {
 
-		if (!this.redisClient) {
+		if (!this.store) {
 			throw new Error('Unable to disconnect from redis');
 		}
 
-		return this.redisClient.disconnect();
+		const watch = this._rulesWatch;
+
+		this._rulesWatch = null;
+		this._disconnecting = true;
+
+		return Promise.resolve(watch)
+			.then( (unsubscribe) => unsubscribe && unsubscribe() )
+			.catch( () => {} )
+			.then( () => this.store.disconnect() );
 
 	}
 
@@ -0,0 +1,462 @@
+import { SCRIPTS, INCREMENT_SCORES, TOP_SCORES } from './scripts.mjs';
+
+/**
+Store running the rate limit algorithms as Lua scripts on a Redis server.
+Wraps either a node-redis client (or cluster) or an ioredis client so
+`RateLimitRedis` doesn't depend on either API.
+
+A store implements `evaluate`, `evaluateAll`, `get`, `set`, `increment`,
+`ttl`, `reset`, `connect` and `disconnect` and may expose `isOpen`, `isReady`,
+`on`, `keys`, `incrementScores`, `topScores`, `publish`
+and `subscribe` (see `MemoryStore` for an implementation without Redis).
+
+@class RedisStore
+@param {Object} client A node-redis or ioredis client.
+*/
+class RedisStore {
+
+	constructor(client) {
+
+		if ( !RedisStore.isClient(client) ) {
+			throw new Error('Invalid Redis client');
+		}
+
+		this.client = client;
+		this.ioredis = RedisStore.isIORedis(client);
+
+	}
+
+	/**
+	Whether a value is a Redis client the store can wrap.
+
+	@method isClient
+	@param {Object} value
+	@return {Boolean}
+	@static
+	*/
+	static isClient (value) {
+
+		// node-redis clients define `isOpen` on their prototype
+		return value !== null && typeof value === 'object' && (
+			'isOpen' in value ||
+			RedisStore.isIORedis(value)
+		);
+
+	}
+
+	/**
+	Whether a value is an ioredis client.
+
+	@method isIORedis
+	@param {Object} value
+	@return {Boolean}
+	@static
+	*/
+	static isIORedis (value) {
+
+		return value != null &&
+			typeof value.evalsha === 'function' &&
+			typeof value.status === 'string';
+
+	}
+
+	/**
+	Whether the connection is open or being opened.
+
+	@property isOpen
+	@type {Boolean}
+	*/
+	get isOpen () {
+
+		if (this.ioredis) {
+			return !['wait', 'end'].includes(this.client.status);
+		}
+
+		return this.client.isOpen;
+
+	}
+
+	/**
+	Whether the client is ready to run commands. `undefined` when the client
+	doesn't tell.
+
+	@property isReady
+	@type {Boolean}
+	*/
+	get isReady () {
+
+		if (this.ioredis) {
+			return this.client.status === 'ready';
+		}
+
+		return this.client.isReady;
+
+	}
+
+	/**
+	Listen to the client's `error`, `end` and `ready` events.
+
+	@method on
+	@param {String} event
+	@param {Function} listener
+	@return {RedisStore}
+	*/
+	on (event, listener) {
+
+		if (typeof this.client.on === 'function') {
+			this.client.on(event, listener);
+		}
+
+		return this;
+
+	}
+
+	/**
+	@method connect
+	@async
+	@return {Promise}
+	*/
+	connect () {
+
+		return this.client.connect();
+
+	}
+
+	/**
+	@method disconnect
+	@async
+	@return {Promise}
+	*/
+	async disconnect () {
+
+		if (this.ioredis) {
+			return this.client.quit();
+		}
+
+		return this.client.disconnect();
+
+	}
+
+	/**
+	Evaluate an algorithm for a key.
+
+	@method evaluate
+	@param {String} algorithm Algorithm name (see `RateLimitRedis.ALGORITHMS`).
+	@param {String} key The rate limit key.
+	@param {Array} args The arguments of the algorithm's Lua script.
+	@async
+	@return {Promise<Array>} `[count, ttl, allowed, reset]`
+	*/
+	async evaluate (algorithm, key, args) {
+
+		const [reply] = await this.evaluateAll(algorithm, [key], [args]);
+
+		return reply;
+
+	}
+
+	/**
+	Evaluate an algorithm for several keys, one per window of a request with
+	multiple limits, in a single script so the request is only counted when
+	every window allows it.
+
+	@method evaluateAll
+	@param {String} algorithm Algorithm name (see `RateLimitRedis.ALGORITHMS`).
+	@param {[String]} keys The rate limit keys.
+	@param {[Array]} args The arguments of each key.
+	@param {Object} options
+	@param {String} options.mode `peek` to only evaluate the request or `force` to count it even when over the limit.
+	@param {String} options.blockKey Key blocking the client while it exists.
+	@param {String} options.violationsKey Key counting the rejected requests of the client, to block it on a rejection.
+	@param {[Number]} options.blockDurations Block durations in milliseconds by amount of violations.
+	@param {Number} options.blockPeriod Milliseconds violations are remembered for.
+	@async
+	@return {Promise<[Array]>} A reply per key, with a fifth `1` when blocked
+	*/
+	async evaluateAll (algorithm, keys, args, options = {}) {
+
+		if ( !Object.prototype.hasOwnProperty.call(SCRIPTS, algorithm) ) {
+			throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+		}
+
+		const { mode = '', blockKey, violationsKey, blockDurations, blockPeriod } = options;
+		const escalating = Boolean(blockKey && violationsKey && blockDurations && blockDurations.length);
+
+		let blockKeys = [],
+			blocking = 0,
+			schedule = [];
+
+		if (escalating) {
+			blockKeys = [blockKey, violationsKey];
+			blocking = 2;
+			schedule = [blockPeriod].concat(blockDurations);
+		} else if (blockKey) {
+			blockKeys = [blockKey];
+			blocking = 1;
+		}
+
+		const reply = await this.evalScript(
+			SCRIPTS[algorithm],
+			keys.concat(blockKeys),
+			[mode, blocking].concat(...args, schedule)
+		);
+
+		// the script replies without a list for a single window
+		return keys.length === 1 ? [reply] : reply;
+
+	}
+
+	/**
+	Run a Lua script with EVALSHA, falling back to EVAL (which also caches the
+	script on the server) when Redis replies with NOSCRIPT.
+
+	@method evalScript
+	@param {Object} script Script from `scripts.mjs`.
+	@param {[String]} keys Keys the script operates on.
+	@param {Array} args Script arguments.
+	@async
+	@return {Promise<Array>} The script reply
+	*/
+	async evalScript (script, keys = [], args = []) {
+
+		try {
+			return await this._eval('sha', script.sha, keys, args.map(String));
+		} catch (err) {
+
+			if (!err || !err.message || !err.message.startsWith('NOSCRIPT')) {
+				throw err;
+			}
+
+			return this._eval('source', script.source, keys, args.map(String));
+
+		}
+
+	}
+
+	_eval (type, script, keys, args) {
+
+		if (this.ioredis) {
+			const command = type === 'sha' ? 'evalsha' : 'eval';
+			return this.client[command](script, keys.length, ...keys, ...args);
+		}
+
+		const command = type === 'sha' ? 'evalSha' : 'eval';
+
+		return this.client[command](script, { keys, arguments: args });
+
+	}
+
+	/**
+	@method get
+	@param {String} key
+	@async
+	@return {Promise<String>} The value or `null`
+	*/
+	get (key) {
+
+		return this.client.get(key);
+
+	}
+
+	/**
+	@method set
+	@param {String} key
+	@param {*} value
+	@param {Number} ttl Expiry in seconds, none when omitted.
+	@async
+	@return {Promise<Boolean>} Whether the value was set
+	*/
+	async set (key, value, ttl) {
+
+		let res;
+
+		if (ttl == null) {
+			res = await this.client.set(key, value);
+		} else if (this.ioredis) {
+			res = await this.client.set(key, value, 'EX', ttl);
+		} else {
+			res = await this.client.set(key, value, { EX: ttl });
+		}
+
+		return res === 'OK';
+
+	}
+
+	/**
+	@method increment
+	@param {String} key
+	@param {Number} amount Amount to add (default: 1).
+	@async
+	@return {Promise<Number>} The new value
+	*/
+	increment (key, amount = 1) {
+
+		return this.ioredis ? this.client.incrby(key, amount) : this.client.incrBy(key, amount);
+
+	}
+
+	/**
+	@method ttl
+	@param {String} key
+	@async
+	@return {Promise<Number>} Time to live in milliseconds, `-1` without an expiry and `-2` for a missing key
+	*/
+	ttl (key) {
+
+		return this.ioredis ? this.client.pttl(key) : this.client.pTTL(key);
+
+	}
+
+	/**
+	Increment the score of a member in each sorted set by one.
+
+	@method incrementScores
+	@param {[String]} keys The sorted sets.
+	@param {[String]} members The member of each sorted set.
+	@param {Number} ttl Expiry of the sorted sets in seconds.
+	@async
+	@return {Promise}
+	*/
+	incrementScores (keys, members, ttl) {
+
+		return this.evalScript(INCREMENT_SCORES, keys, [ttl * 1000].concat(members));
+
+	}
+
+	/**
+	Members with the highest total score across sorted sets, which must share
+	a Redis Cluster hash slot.
+
+	@method topScores
+	@param {[String]} keys The sorted sets.
+	@param {Number} count Maximum amount of members.
+	@async
+	@return {Promise<[Array]>} `[member, score]` pairs from the highest score
+	*/
+	async topScores (keys, count) {
+
+		// the union is stored next to the first sorted set
+		const reply = await this.evalScript(TOP_SCORES, [`${keys[0]}:top`].concat(keys), [count]);
+		const top = [];
+
+		for (let i = 0; i < reply.length; i += 2) {
+			top.push([ reply[i], Number(reply[i + 1]) ]);
+		}
+
+		return top;
+
+	}
+
+	/**
+	Find keys with SCAN, which doesn't block the server like KEYS.
+
+	@method keys
+	@param {String} pattern Glob-style pattern.
+	@async
+	@return {Promise<[String]>} The matching keys
+	*/
+	async keys (pattern) {
+
+		// a cluster would need a scan of every master
+		if (typeof this.client.scan !== 'function') {
+			throw new Error('SCAN is not supported by this client');
+		}
+
+		const keys = new Set();
+
+		let cursor = '0';
+
+		do {
+
+			let batch;
+
+			if (this.ioredis) {
+				[cursor, batch] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
+			} else {
+				({ cursor, keys: batch } = await this.client.scan(cursor, { MATCH: pattern, COUNT: 1000 }));
+			}
+
+			cursor = String(cursor);
+
+			// SCAN may return a key more than once
+			batch.forEach( (key) => keys.add(key) );
+
+		} while (cursor !== '0');
+
+		return Array.from(keys);
+
+	}
+
+	/**
+	@method publish
+	@param {String} channel
+	@param {String} message
+	@async
+	@return {Promise<Number>} The amount of subscribers
+	*/
+	publish (channel, message) {
+
+		return this.client.publish(channel, message);
+
+	}
+
+	/**
+	Subscribe to a channel on a duplicate of the client, since a subscribed
+	connection can't run other commands.
+
+	@method subscribe
+	@param {String} channel
+	@param {Function} listener Called with each message.
+	@param {Function} onError Called with the errors of the duplicate connection (default: ignore them).
+	@async
+	@return {Promise<Function>} Async function unsubscribing and closing the duplicate connection
+	*/
+	async subscribe (channel, listener, onError = () => {}) {
+
+		const subscriber = this.client.duplicate();
+
+		// the duplicate reconnects on its own, like the client
+		subscriber.on('error', onError);
+
+		if (this.ioredis) {
+
+			subscriber.on('message', (name, message) => {
+				if (name === channel) {
+					listener(message);
+				}
+			});
+
+			await subscriber.subscribe(channel);
+
+			return async () => {
+				await subscriber.quit();
+			};
+
+		}
+
+		await subscriber.connect();
+		await subscriber.subscribe(channel, listener);
+
+		return async () => {
+			await subscriber.unsubscribe(channel);
+			await subscriber.disconnect();
+		};
+
+	}
+
+	/**
+	@method reset
+	@param {String} key
+	@async
+	@return {Promise<Boolean>} Whether the key existed
+	*/
+	async reset (key) {
+
+		return (await this.client.del(key)) === 1;
+
+	}
+
+}
+
+export default RedisStore;
+export { RedisStore };
@@ -0,0 +1,107 @@
+/**
+Custom route matching. Route paths are exact strings, Express-style patterns
+such as `/users/:id/*` or regular expressions, and methods are a method name,
+a list of them or `*` for any method.
+
+@module routes
+*/
+
+/**
+Compile a custom route.
+
+@method compileRoute
+@param {Object} route Custom route with a `path` and an optional `method` (default: `get`).
+@return {Object} `{ route, name, matches(method, path) }` where `name` identifies the route in rate limit keys
+@example
+	const { matches } = compileRoute({ path: '/users/:id', method: ['put', 'patch'] });
+
+	matches('PATCH', '/users/42'); // true
+*/
+function compileRoute (route) {
+
+	const methods = [].concat(route.method == null ? 'get' : route.method);
+
+	if ( !methods.length || !methods.every( (method) => typeof method === 'string' && method.length ) ) {
+		throw new Error(`Invalid customRoutes method: ${route.method}`);
+	}
+
+	const anyMethod = methods.includes('*');
+	const names = methods.map( (method) => method.toLowerCase() );
+	const pattern = pathPattern(route.path);
+
+	return {
+		route,
+		// the template rather than the requested path, so a pattern is a single bucket
+		name: `${anyMethod ? '*' : names.join(',')}:${route.path.toString().toLowerCase()}`,
+		matches (method, path) {
+
+			if (path == null) {
+				return false;
+			}
+
+			const sameMethod = anyMethod || (
+				typeof method === 'string' && names.includes( method.toLowerCase() )
+			);
+
+			return sameMethod && pattern.test(path);
+
+		},
+	};
+
+}
+
+/**
+Path of a request without its query string, fragment and trailing slash.
+
+@method requestPath
+@param {Object} request
+@return {String} The path or `undefined`
+*/
+function requestPath (request) {
+
+	let path = request.url || request.originalUrl;
+
+	if (!path || !path.length) {
+		return;
+	}
+
+	path = path.split(/[?#]/)[0];
+
+	if ( path.length > 1 && path.endsWith('/') ) {
+		path = path.slice(0, -1);
+	}
+
+	return path;
+
+}
+
+/**
+Regular expression matching a route path. `:name` matches a path segment,
+`:name?` an optional one and `*` anything, including slashes.
+
+@method pathPattern
+@param {String|RegExp} path
+@return {RegExp}
+@private
+*/
+function pathPattern (path) {
+
+	if ( Object.prototype.toString.call(path) === '[object RegExp]' ) {
+		return path;
+	}
+
+	if (typeof path !== 'string' || !path.length) {
+		throw new Error(`Invalid customRoutes path: ${path}`);
+	}
+
+	const source = path
+		.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+		.replace(/\/:[A-Za-z0-9_]+\?/g, '(?:/[^/]+)?')
+		.replace(/:[A-Za-z0-9_]+/g, '[^/]+')
+		.replace(/\*/g, '.*');
+
+	return new RegExp(`^${source}$`);
+
+}
+
+export { compileRoute, requestPath };
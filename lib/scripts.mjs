@@ -0,0 +1,506 @@
+import { createHash } from 'crypto';
+
+/**
+Lua scripts evaluated server side by `RateLimitRedis`. Each script makes the
+whole rate limit decision in a single round trip so concurrent requests from
+different nodes can't read the same count.
+
+Every script accepts several keys, one per window of a request with multiple
+limits, optionally followed by a block key. `ARGV` starts with the mode and
+whether a block key is passed, followed by the arguments of each window.
+
+- `ARGV[1]` Empty to count the request when all windows allow it, `peek` to
+  only evaluate it or `force` to count it even when over the limit (used for
+  penalties and, with a negative cost, rewards).
+- `ARGV[2]` `1` when the last key is a block key. While it exists requests
+  are rejected without being evaluated. `2` when the last two keys are a
+  block key and a violations key, and `ARGV` ends with the period violations
+  are remembered for followed by the block durations, in milliseconds. A
+  rejected request then blocks the client for the duration matching its
+  amount of violations, the last one applying to any further violation.
+
+A single window returns one reply, several windows a list of replies in the
+same order. A blocked request is replied `{ count, ttl, 0, ttl, 1 }` per
+window where `ttl` is the remaining time of the block in milliseconds.
+
+`INCREMENT_SCORES` and `TOP_SCORES` keep and query the analytics of the
+requests, in sorted sets per time bucket.
+
+@module scripts
+*/
+
+/**
+Fixed window counter.
+
+KEYS[n] The rate limit key.
+ARGV    Maximum amount of requests allowed within the window, the window
+        length in milliseconds and the cost of the request for each key.
+
+Returns `{ count, ttl, allowed }` where `ttl` is in milliseconds and `allowed`
+is `1` or `0`. Rejected requests are not counted.
+
+@property FIXED_WINDOW
+@type {Object}
+*/
+const FIXED_WINDOW = algorithm(3, `
+local function rate_limit (key, args, now, commit, force)
+	local limit = args[1]
+	local window = args[2]
+	local cost = args[3] or 1
+	local current = tonumber(redis.call('GET', key) or 0)
+	local ttl = redis.call('PTTL', key)
+
+	-- a counter without an expiry (-1), a missing (-2) or an expiring one starts
+	-- a new window
+	if ttl <= 0 then
+		current = 0
+	end
+
+	if current == 0 then
+		if cost > limit and not force then
+			return { 0, window, 0 }
+		end
+		if cost <= 0 then
+			return { 0, window, 1 }
+		end
+		if commit then
+			redis.call('SET', key, cost, 'PX', window)
+		end
+		return { cost, window, 1 }
+	end
+
+	if current + cost > limit and not force then
+		return { current, ttl, 0 }
+	end
+
+	local count = math.max(0, current + cost)
+
+	if commit then
+		redis.call('SET', key, count, 'PX', ttl)
+	end
+
+	return { count, ttl, 1 }
+end
+`);
+
+/**
+Sliding window log. Each allowed request is stored as a member of a sorted set
+scored by its timestamp (Redis server time) and entries older than the window
+are trimmed before counting.
+
+KEYS[n] The rate limit key.
+ARGV    Maximum amount of requests allowed within the window, the window
+        length in milliseconds and the cost of the request for each key.
+
+Returns `{ count, ttl, allowed }` where `ttl` is the time in milliseconds until
+the oldest logged request leaves the window or, when rejected, until enough
+requests have left it. A request costing more than one is logged once per
+unit. Rejected requests are not logged.
+
+@property SLIDING_LOG
+@type {Object}
+*/
+const SLIDING_LOG = algorithm(3, `
+local function rate_limit (key, args, now, commit, force)
+	local limit = args[1]
+	local window = args[2]
+	local cost = args[3] or 1
+
+	redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+
+	local count = redis.call('ZCARD', key)
+	local ttl = window
+
+	if count + cost > limit and not force then
+		-- wait for enough logged requests to leave the window
+		local index = count + cost - limit - 1
+		if cost <= limit and index < count then
+			local entry = redis.call('ZRANGE', key, index, index, 'WITHSCORES')
+			ttl = tonumber(entry[2]) + window - now
+		end
+		return { count, ttl, 0 }
+	end
+
+	if count > 0 then
+		local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+		ttl = tonumber(oldest[2]) + window - now
+	end
+
+	if commit and cost > 0 then
+		-- the count keeps members unique when requests share a millisecond,
+		-- batches keep unpack() within Lua's stack size
+		local members = {}
+		for i = 1, cost do
+			table.insert(members, now)
+			table.insert(members, now .. ':' .. (count + i - 1))
+			if #members == 1000 or i == cost then
+				redis.call('ZADD', key, unpack(members))
+				members = {}
+			end
+		end
+		redis.call('PEXPIRE', key, window)
+	elseif commit and cost < 0 then
+		-- a reward forgets the latest requests
+		redis.call('ZREMRANGEBYRANK', key, cost, -1)
+	end
+
+	return { math.max(0, count + cost), ttl, 1 }
+end
+`);
+
+/**
+Sliding window counter. Keeps the counters of the current and previous fixed
+windows in a hash and estimates the requests made during the last `window`
+milliseconds by weighting the previous counter by how much of it still
+overlaps the sliding window.
+
+KEYS[n] The rate limit key.
+ARGV    Maximum amount of requests allowed within the window, the window
+        length in milliseconds and the cost of the request for each key.
+
+Returns `{ count, ttl, allowed }` where `count` is the estimated request count
+and `ttl` is the time in milliseconds until the current window ends or, when
+rejected, until the estimate drops below the limit.
+
+@property SLIDING_WINDOW
+@type {Object}
+*/
+const SLIDING_WINDOW = algorithm(3, `
+local function rate_limit (key, args, now, commit, force)
+	local limit = args[1]
+	local window = args[2]
+	local cost = args[3] or 1
+	local start = now - (now % window)
+	local elapsed = now - start
+
+	local state = redis.call('HMGET', key, 'start', 'current', 'previous')
+	local stored = tonumber(state[1]) or start
+	local current = tonumber(state[2]) or 0
+	local previous = tonumber(state[3]) or 0
+
+	-- roll the counters over when a new window has started
+	if stored ~= start then
+		if stored == start - window then
+			previous = current
+		else
+			previous = 0
+		end
+		current = 0
+	end
+
+	local count = math.floor(previous * (window - elapsed) / window) + current
+	-- the highest count the request fits on
+	local threshold = limit - cost + 1
+
+	if count >= threshold and not force then
+		local retry
+		if threshold < 1 then
+			retry = window
+		elseif current < threshold then
+			retry = window - (threshold - current) * window / previous - elapsed
+		else
+			retry = window - elapsed + math.max(0, window - threshold * window / current)
+		end
+		return { count, math.max(1, math.ceil(retry)), 0 }
+	end
+
+	local next_current = math.max(0, current + cost)
+
+	if commit then
+		redis.call('HSET', key, 'start', start, 'current', next_current, 'previous', previous)
+		-- the current counter is still needed as the previous one during the next window
+		redis.call('PEXPIRE', key, window * 2 - elapsed)
+	end
+
+	return { count - current + next_current, window - elapsed, 1 }
+end
+`);
+
+/**
+Token bucket. The bucket holds up to `capacity` tokens and is refilled at
+`refillRate` tokens per second; each request takes as many tokens as it
+costs. The token count and the time of the last refill are kept in a hash.
+
+KEYS[n] The rate limit key.
+ARGV    Bucket capacity, refill rate in tokens per second and the cost of the
+        request for each key.
+
+Returns `{ count, ttl, allowed, reset }` where `count` is the amount of tokens
+taken from a full bucket, `ttl` is the time in milliseconds until enough
+tokens are added when rejected and `reset` the time until the bucket is full.
+
+@property TOKEN_BUCKET
+@type {Object}
+*/
+const TOKEN_BUCKET = algorithm(3, `
+local function rate_limit (key, args, now, commit, force)
+	local capacity = args[1]
+	local rate = args[2] / 1000
+	local cost = args[3] or 1
+
+	local state = redis.call('HMGET', key, 'tokens', 'timestamp')
+	local tokens = tonumber(state[1]) or capacity
+	local timestamp = tonumber(state[2]) or now
+
+	tokens = math.min(capacity, tokens + math.max(0, now - timestamp) * rate)
+
+	if tokens < cost and not force then
+		local reset = math.ceil((capacity - tokens) / rate)
+		return { capacity - math.floor(tokens), math.ceil((cost - tokens) / rate), 0, reset }
+	end
+
+	tokens = math.min(capacity, tokens - cost)
+
+	local reset = math.ceil((capacity - tokens) / rate)
+
+	-- a full bucket needs no state
+	if commit and reset > 0 then
+		redis.call('HSET', key, 'tokens', tokens, 'timestamp', now)
+		redis.call('PEXPIRE', key, reset)
+	elseif commit then
+		redis.call('DEL', key)
+	end
+
+	return { capacity - math.floor(tokens), reset, 1, reset }
+end
+`);
+
+/**
+Generic cell rate algorithm. Only the theoretical arrival time (TAT) of the
+next request is stored. Requests are spaced `window / limit` milliseconds
+apart, times their cost, and up to `burst` requests may be made at once.
+
+KEYS[n] The rate limit key.
+ARGV    Maximum amount of requests allowed within the window, the window
+        length in milliseconds, the burst tolerance, the amount of requests
+        allowed at once, and the cost of the request for each key.
+
+Returns `{ count, ttl, allowed, reset }` where `count` is the amount of the
+burst used, `ttl` is the time in milliseconds until a request is allowed
+when rejected and `reset` the time until the burst is fully available.
+
+@property GCRA
+@type {Object}
+*/
+const GCRA = algorithm(4, `
+local function rate_limit (key, args, now, commit, force)
+	local limit = args[1]
+	local window = args[2]
+	local burst = args[3]
+	local cost = args[4] or 1
+	local interval = window / limit
+
+	local tat = math.max(tonumber(redis.call('GET', key)) or now, now)
+	local next_tat = math.max(now, tat + interval * cost)
+	local allow_at = next_tat - burst * interval
+
+	if allow_at > now and not force then
+		local used = burst - math.max(0, math.floor((now - tat + burst * interval) / interval))
+		return { used, math.ceil(allow_at - now), 0, math.ceil(tat - now) }
+	end
+
+	local reset = math.ceil(next_tat - now)
+
+	if commit and reset > 0 then
+		redis.call('SET', key, next_tat, 'PX', reset)
+	elseif commit then
+		redis.call('DEL', key)
+	end
+
+	return { burst - math.floor((now - allow_at) / interval), reset, 1, reset }
+end
+`);
+
+/**
+Scripts by algorithm name.
+
+@property SCRIPTS
+@type {Object}
+*/
+const SCRIPTS = {
+	'fixed-window': FIXED_WINDOW,
+	'sliding-log': SLIDING_LOG,
+	'sliding-window': SLIDING_WINDOW,
+	'token-bucket': TOKEN_BUCKET,
+	'gcra': GCRA,
+};
+
+/**
+Increment the score of a member in each sorted set by one and push back the
+expiry of the sets.
+
+KEYS[n]     A sorted set.
+ARGV[1]     Expiry in milliseconds.
+ARGV[n + 1] The member of the nth sorted set.
+
+@property INCREMENT_SCORES
+@type {Object}
+*/
+const INCREMENT_SCORES = script(`
+local ttl = tonumber(ARGV[1])
+
+for i = 1, #KEYS do
+	redis.call('ZINCRBY', KEYS[i], 1, ARGV[i + 1])
+	redis.call('PEXPIRE', KEYS[i], ttl)
+end
+
+return #KEYS
+`);
+
+/**
+Sum the scores of sorted sets, such as the buckets of a period, and return
+the members with the highest totals.
+
+KEYS[1] A temporary key, deleted before returning, in the same hash slot.
+KEYS[n] The sorted sets.
+ARGV[1] Maximum amount of members.
+
+Returns `{ member, score, ... }` from the highest score.
+
+@property TOP_SCORES
+@type {Object}
+*/
+const TOP_SCORES = script(`
+local chunk = 1000
+
+-- unpack() is bounded by the Lua stack, so sum the sets a chunk at a time
+-- into the temporary key
+for first = 2, #KEYS, chunk do
+	local sources = {}
+
+	if first > 2 then
+		sources[1] = KEYS[1]
+	end
+
+	for i = first, math.min(first + chunk - 1, #KEYS) do
+		sources[#sources + 1] = KEYS[i]
+	end
+
+	redis.call('ZUNIONSTORE', KEYS[1], #sources, unpack(sources))
+end
+
+local top = redis.call('ZREVRANGE', KEYS[1], 0, tonumber(ARGV[1]) - 1, 'WITHSCORES')
+
+redis.call('DEL', KEYS[1])
+
+return top
+`);
+
+/**
+Build the script of an algorithm. The algorithm's Lua source defines
+`rate_limit(key, args, now, commit, force)`, which only writes when `commit`
+is true and doesn't reject when `force` is, and is evaluated for every
+window: first without writing and, when all windows allow the request, again
+to count it.
+
+@method algorithm
+@param {Number} arity Amount of arguments per key.
+@param {String} source Lua source defining `rate_limit`.
+@return {Object} `{ source, sha }`
+@private
+*/
+function algorithm (arity, source) {
+
+	return script(`
+${source.trim()}
+
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local mode = ARGV[1]
+local blocking = ARGV[2] ~= '0'
+local escalating = ARGV[2] == '2'
+local windows = #KEYS
+
+if escalating then
+	windows = windows - 2
+elseif blocking then
+	windows = windows - 1
+end
+
+local function arguments (index)
+	local args = {}
+	for i = 1, ${arity} do
+		args[i] = tonumber(ARGV[2 + (index - 1) * ${arity} + i])
+	end
+	return args
+end
+
+local function reply (replies)
+	if windows == 1 then
+		return replies[1]
+	end
+	return replies
+end
+
+local replies = {}
+
+-- a blocked client is rejected without being counted
+if blocking then
+	local blocked = redis.call('PTTL', KEYS[windows + 1])
+	if blocked > 0 then
+		for i = 1, windows do
+			replies[i] = { 0, blocked, 0, blocked, 1 }
+		end
+		return reply(replies)
+	end
+end
+
+local force = mode == 'force'
+local allowed = true
+
+if windows == 1 and mode ~= 'peek' then
+	replies[1] = rate_limit(KEYS[1], arguments(1), now, true, force)
+	allowed = replies[1][3] == 1
+else
+	for i = 1, windows do
+		replies[i] = rate_limit(KEYS[i], arguments(i), now, false, force)
+		if replies[i][3] == 0 then
+			allowed = false
+		end
+	end
+
+	if allowed and mode ~= 'peek' then
+		for i = 1, windows do
+			replies[i] = rate_limit(KEYS[i], arguments(i), now, true, force)
+		end
+	end
+end
+
+-- block a client for longer the more often it is rejected
+if escalating and not allowed and mode ~= 'peek' then
+	local offset = 3 + windows * ${arity}
+	local period = tonumber(ARGV[offset])
+	local violations = redis.call('INCR', KEYS[windows + 2])
+	local duration = tonumber(ARGV[offset + math.min(violations, #ARGV - offset)])
+
+	redis.call('PEXPIRE', KEYS[windows + 2], period)
+	redis.call('SET', KEYS[windows + 1], violations, 'PX', duration)
+
+	for i = 1, windows do
+		replies[i] = { replies[i][1], duration, 0, duration, 1 }
+	end
+end
+
+return reply(replies)
+`);
+
+}
+
+/**
+Wrap Lua source with its SHA1 digest so it can be run with EVALSHA.
+
+@method script
+@param {String} source Lua source.
+@return {Object} `{ source, sha }`
+@private
+*/
+function script (source) {
+
+	return {
+		source: source.trim(),
+		sha: createHash('sha1').update(source.trim()).digest('hex'),
+	};
+
+}
+
+export { FIXED_WINDOW, SLIDING_LOG, SLIDING_WINDOW, TOKEN_BUCKET, GCRA, SCRIPTS, INCREMENT_SCORES, TOP_SCORES };
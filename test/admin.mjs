@@ -0,0 +1,256 @@
+import assert from 'assert';
+import { RateLimitRedis, MemoryStore, RateLimitAdmin } from '../lib/index.mjs';
+
+const TEST_IP = '192.168.18.1';
+const OTHER_IP = '192.168.18.10';
+const SIMILAR_IP = '192.168.18.11';
+
+// minimal response recording what the admin router sends
+function response () {
+	const res = {
+		headers: {},
+		setHeader: (name, value) => {
+			res.headers[name] = value;
+		},
+	};
+
+	res.sent = new Promise( (resolve) => {
+		res.end = (body) => resolve( JSON.parse(body) );
+	});
+
+	return res;
+}
+
+describe('Rate Limit Admin Test', function () {
+
+	const options = {
+		timeframe: 60,
+		limit: 4,
+		customRoutes: [
+			{ path: '/login', method: 'post', name: 'login', limit: 2 },
+			{ path: '/health', method: '*', ignore: true },
+		],
+	};
+
+	describe('MemoryStore', function () {
+
+		let limiter, admin;
+
+		beforeEach(async function () {
+			limiter = new RateLimitRedis({ store: new MemoryStore(), ...options });
+			admin = new RateLimitAdmin(limiter);
+
+			await limiter.process({ ip: TEST_IP });
+			await limiter.process({ ip: TEST_IP, url: '/login?next=/', method: 'POST' });
+			await limiter.process({ ip: TEST_IP, url: '/login', method: 'post' });
+			await limiter.process({ ip: OTHER_IP });
+			await limiter.process({ ip: SIMILAR_IP });
+		});
+
+		it('should throw on invalid arguments', async function () {
+			assert.throws( () => new RateLimitAdmin(), /Invalid limiter/ );
+			assert.throws( () => admin.router(), /Invalid authorize function/ );
+
+			await assert.rejects( admin.status(''), /Invalid identity/ );
+			await assert.rejects( admin.block(TEST_IP, 0), /Invalid block duration/ );
+			await assert.rejects( admin.listTopConsumers(0), /Invalid number of consumers/ );
+		});
+
+		it('should get the status of an identity', async function () {
+			let status, login, health;
+
+			try {
+				status = await admin.status(TEST_IP);
+				login = await admin.status(TEST_IP, { url: '/login', method: 'post' });
+				health = await admin.status(TEST_IP, '/health');
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(status.key, limiter.getKey(TEST_IP));
+			assert.strictEqual(status.status, 200);
+			assert.strictEqual(status.remaining, 3);
+
+			assert.strictEqual(login.policy, 'login');
+			assert.strictEqual(login.status, 429);
+			assert.strictEqual(login.remaining, 0);
+
+			assert.deepStrictEqual(health, { identity: TEST_IP, ignored: true });
+		});
+
+		it('should block and unblock an identity', async function () {
+			let blocked, result, unblocked;
+
+			try {
+				blocked = await admin.block(TEST_IP, 60);
+				result = await limiter.process({ ip: TEST_IP });
+				unblocked = await admin.unblock(TEST_IP);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.deepStrictEqual(blocked, { identity: TEST_IP, key: limiter.getKey(TEST_IP), seconds: 60 });
+			assert.strictEqual(result.status, 429);
+			assert.strictEqual(result.blocked, true);
+			assert.strictEqual(unblocked.unblocked, true);
+			assert.strictEqual( (await limiter.process({ ip: TEST_IP })).status, 200 );
+		});
+
+		it('should reset an identity across every route', async function () {
+			let deleted;
+
+			try {
+				await admin.block(TEST_IP, 60, { url: '/login', method: 'post' });
+				deleted = await admin.resetIdentity(TEST_IP);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(deleted, 3);
+			assert.deepStrictEqual( limiter.store.keys('*').sort(), [limiter.getKey(OTHER_IP), limiter.getKey(SIMILAR_IP)].sort() );
+		});
+
+		it('should list the top consumers', async function () {
+			let consumers;
+
+			try {
+				await limiter.process({ ip: OTHER_IP });
+				consumers = await admin.listTopConsumers(2);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.deepStrictEqual(consumers, [
+				{ identity: TEST_IP, key: limiter.getKey(TEST_IP, 'post:/login'), rule: 'login', used: 2, limit: 2, remaining: 0, blocked: false },
+				{ identity: OTHER_IP, key: limiter.getKey(OTHER_IP), rule: 'default', used: 2, limit: 4, remaining: 2, blocked: false },
+			]);
+		});
+
+		it('should skip the keys it can\'t read when listing the top consumers', async function () {
+			const evaluateAll = limiter.store.evaluateAll;
+			let consumers;
+
+			// e.g. a key of another type
+			limiter.store.evaluateAll = function (algorithm, keys, ...args) {
+				if ( keys.includes(limiter.getKey(OTHER_IP)) ) {
+					throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+				}
+				return evaluateAll.call(this, algorithm, keys, ...args);
+			};
+
+			try {
+				consumers = await admin.listTopConsumers();
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.deepStrictEqual( consumers.map( ({ key }) => key ).sort(), [
+				limiter.getKey(TEST_IP),
+				limiter.getKey(TEST_IP, 'post:/login'),
+				limiter.getKey(SIMILAR_IP),
+			].sort() );
+		});
+
+		it('should serve the admin API to authorized requests', async function () {
+			const router = admin.router({ authorize: (req) => req.headers.authorization === 'Bearer secret' });
+			const headers = { authorization: 'Bearer secret' };
+			const unauthorized = response();
+			const status = response();
+			const block = response();
+			const top = response();
+			const invalid = response();
+			let skipped = false;
+
+			router({ method: 'GET', url: `/status/${TEST_IP}`, headers: {} }, unauthorized);
+			router({ method: 'GET', url: `/status/${TEST_IP}?url=/login&method=post`, headers }, status);
+			router({ method: 'POST', url: `/blocks/${TEST_IP}?seconds=30`, headers }, block);
+			router({ method: 'GET', url: '/top?n=1', headers }, top);
+			router({ method: 'POST', url: `/blocks/${TEST_IP}?seconds=x`, headers }, invalid);
+			router({ method: 'GET', url: '/unknown', headers }, response(), () => {
+				skipped = true;
+			});
+
+			try {
+				assert.deepStrictEqual( await unauthorized.sent, { error: 'Unauthorized' } );
+				assert.strictEqual(unauthorized.statusCode, 401);
+
+				const body = await status.sent;
+
+				assert.strictEqual(status.statusCode, 200);
+				assert.strictEqual(status.headers['Content-Type'], 'application/json; charset=utf-8');
+				assert.strictEqual(body.policy, 'login');
+				assert.strictEqual(body.error, 'Too Many Requests');
+
+				assert.deepStrictEqual( await block.sent, { identity: TEST_IP, key: limiter.getKey(TEST_IP), seconds: 30 } );
+				assert.strictEqual( (await top.sent).consumers.length, 1 );
+
+				assert.match( (await invalid.sent).error, /Invalid block duration/ );
+				assert.strictEqual(invalid.statusCode, 400);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(skipped, true);
+		});
+
+	});
+
+	describe('RedisStore', function () {
+
+		const redisOptions = {
+			redis: {
+				uri: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`
+			},
+			namespace: 'rate-limit-admin',
+			...options,
+		};
+		const limiter = new RateLimitRedis(redisOptions);
+		const admin = new RateLimitAdmin(limiter);
+
+		before(async function () {
+			await limiter.connect();
+		});
+
+		after(async function () {
+			await admin.resetIdentity(OTHER_IP);
+			return limiter.disconnect();
+		});
+
+		it('should find the keys of an identity with SCAN', async function () {
+			let deleted, remaining;
+
+			try {
+				await limiter.process({ ip: TEST_IP });
+				await limiter.process({ ip: TEST_IP, url: '/login', method: 'post' });
+				await limiter.process({ ip: OTHER_IP });
+				await admin.block(TEST_IP, 60);
+				deleted = await admin.resetIdentity(TEST_IP);
+				remaining = await limiter.store.keys('rate-limit-admin:*');
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(deleted, 3);
+			assert.deepStrictEqual(remaining, [limiter.getKey(OTHER_IP)]);
+		});
+
+		it('should connect to block and unblock an identity', async function () {
+			const blocking = new RateLimitRedis(redisOptions);
+			const unblocking = new RateLimitRedis(redisOptions);
+			let unblocked;
+
+			try {
+				await new RateLimitAdmin(blocking).block(TEST_IP, 60);
+				unblocked = await new RateLimitAdmin(unblocking).unblock(TEST_IP);
+				await blocking.disconnect();
+				await unblocking.disconnect();
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(unblocked.unblocked, true);
+		});
+
+	});
+
+});
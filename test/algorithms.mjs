@@ -0,0 +1,428 @@
+import assert from 'assert';
+import { RateLimitRedis } from '../lib/index.mjs';
+
+const TEST_IP = '192.168.10.1';
+const TIMEFRAME_SEC = 1;
+const RATE_LIMIT = 5;
+
+function wait (ms) {
+	return new Promise( (resolve) => setTimeout(resolve, ms) );
+}
+
+describe('Rate Limit Redis Algorithm Test', function () {
+	const options = {
+		redis: {
+			uri: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`
+		},
+		timeframe: TIMEFRAME_SEC,
+		limit: RATE_LIMIT,
+		namespace: 'rate-limit-algorithms',
+		algorithm: 'sliding-log',
+		customRoutes: [
+			{
+				path: '/fixed/window',
+				method: 'get',
+				algorithm: 'fixed-window',
+			},
+			{
+				path: '/sliding/window',
+				method: 'get',
+				algorithm: 'sliding-window',
+				timeframe: 3600,
+			},
+			{
+				path: '/sliding/window/weighted',
+				method: 'get',
+				algorithm: 'sliding-window',
+				timeframe: 3600,
+				limit: 1000,
+			},
+			{
+				path: '/token/bucket',
+				method: 'get',
+				algorithm: 'token-bucket',
+				capacity: 3,
+				refillRate: 1,
+			},
+			{
+				path: '/gcra',
+				method: 'get',
+				algorithm: 'gcra',
+				timeframe: 4,
+				limit: 4,
+				burst: 2,
+			},
+		],
+	};
+
+	const rateLimitRedis = new RateLimitRedis(options);
+
+	before(async function () {
+		return rateLimitRedis.connect();
+	});
+
+	after(async function () {
+		await rateLimitRedis.reset(rateLimitRedis.getKey(TEST_IP));
+		return rateLimitRedis.disconnect();
+	});
+
+	it('should throw on an unknown algorithm', function () {
+		assert.throws( () => new RateLimitRedis({ algorithm: 'leaky' }), /Unknown rate limit algorithm/ );
+		assert.throws( () => new RateLimitRedis({
+			customRoutes: [ { path: '/', algorithm: 'leaky' } ]
+		}), /Unknown rate limit algorithm/ );
+	});
+
+	describe('sliding-log', function () {
+
+		before(async function () {
+			return rateLimitRedis.reset(rateLimitRedis.getKey(TEST_IP));
+		});
+
+		it('should allow exactly the limit within the window', async function () {
+			for (let i = 1; i <= RATE_LIMIT + 1; i++) {
+				let response;
+
+				try {
+					response = await rateLimitRedis.process({ ip: TEST_IP });
+				} catch (err) {
+					return Promise.reject(err);
+				}
+
+				assert.strictEqual(response.limit, RATE_LIMIT);
+				assert.strictEqual(response.timeframe, TIMEFRAME_SEC);
+
+				if (i <= RATE_LIMIT) {
+					assert.strictEqual(response.status, 200);
+					assert.strictEqual(response.remaining, RATE_LIMIT - i);
+					assert.strictEqual('retry' in response, false);
+				} else {
+					assert.strictEqual(response.status, 429);
+					assert.strictEqual(response.remaining, 0);
+					assert.strictEqual('error' in response, true);
+					assert.strictEqual(response.retryMs > 0, true);
+					assert.strictEqual(response.retryMs <= TIMEFRAME_SEC * 1000, true);
+				}
+			}
+		});
+
+		it('should not log rejected requests', async function () {
+			let count;
+
+			try {
+				count = await rateLimitRedis.redisClient.zCard(
+					`{${rateLimitRedis.getKey(TEST_IP)}}:sliding-log`
+				);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(count, RATE_LIMIT);
+		});
+
+		it('should allow requests again once the oldest entries leave the window', async function () {
+			this.timeout(TIMEFRAME_SEC * 1000 + 500);
+
+			await wait(TIMEFRAME_SEC * 1000 + 50);
+
+			let response;
+
+			try {
+				response = await rateLimitRedis.process({ ip: TEST_IP });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(response.remaining, RATE_LIMIT - 1);
+		});
+
+		it('should use the algorithm set on a custom route', async function () {
+			const request = {
+				ip: TEST_IP,
+				url: '/fixed/window',
+				method: 'get',
+			};
+
+			let response;
+
+			try {
+				await rateLimitRedis.reset(
+					rateLimitRedis.getKey(TEST_IP, 'get:/fixed/window')
+				);
+				response = await rateLimitRedis.process(request);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(
+				await rateLimitRedis.getRequestCount(
+					rateLimitRedis.getKey(TEST_IP, 'get:/fixed/window')
+				),
+				1
+			);
+		});
+
+	});
+
+	describe('sliding-window', function () {
+
+		const route = options.customRoutes[1];
+		const weighted = options.customRoutes[2];
+		const key = rateLimitRedis.getKey(TEST_IP, `get:${route.path}`);
+		const weightedKey = rateLimitRedis.getKey(TEST_IP, `get:${weighted.path}`);
+
+		before(async function () {
+			await rateLimitRedis.reset(key);
+			return rateLimitRedis.reset(weightedKey);
+		});
+
+		after(async function () {
+			await rateLimitRedis.reset(key);
+			return rateLimitRedis.reset(weightedKey);
+		});
+
+		it('should allow exactly the limit within the window', async function () {
+			const request = {
+				ip: TEST_IP,
+				url: route.path,
+				method: 'get',
+			};
+
+			for (let i = 1; i <= RATE_LIMIT + 1; i++) {
+				let response;
+
+				try {
+					response = await rateLimitRedis.process(request);
+				} catch (err) {
+					return Promise.reject(err);
+				}
+
+				assert.strictEqual(response.limit, RATE_LIMIT);
+				assert.strictEqual(response.timeframe, route.timeframe);
+
+				if (i <= RATE_LIMIT) {
+					assert.strictEqual(response.status, 200);
+					assert.strictEqual(response.remaining, RATE_LIMIT - i);
+				} else {
+					assert.strictEqual(response.status, 429);
+					assert.strictEqual(response.remaining, 0);
+					assert.strictEqual(response.retryMs > 0, true);
+					assert.strictEqual(response.retryMs <= route.timeframe * 2000, true);
+				}
+			}
+		});
+
+		it('should weight the previous window by its overlap', async function () {
+			const window = weighted.timeframe * 1000;
+			const now = Date.now();
+			const start = now - (now % window);
+			const expected = Math.floor(
+				weighted.limit * (window - (now - start)) / window
+			) + 1;
+
+			let response;
+
+			try {
+				// pretend the limit was used up during the previous window
+				await rateLimitRedis.redisClient.hSet(`{${weightedKey}}:sliding-window`, {
+					start: start - window,
+					current: weighted.limit,
+					previous: 0,
+				});
+				response = await rateLimitRedis.process({
+					ip: TEST_IP,
+					url: weighted.path,
+					method: 'get',
+				});
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(
+				Math.abs(response.remaining - (weighted.limit - expected)) <= 1,
+				true
+			);
+		});
+
+	});
+
+	describe('token-bucket', function () {
+
+		const route = options.customRoutes[3];
+		const request = {
+			ip: TEST_IP,
+			url: route.path,
+			method: 'get',
+		};
+		const key = rateLimitRedis.getKey(TEST_IP, `get:${route.path}`);
+
+		before(async function () {
+			return rateLimitRedis.reset(key);
+		});
+
+		after(async function () {
+			return rateLimitRedis.reset(key);
+		});
+
+		it('should throw on an invalid capacity or refill rate', function () {
+			assert.throws( () => new RateLimitRedis({ capacity: 0 }), /Invalid capacity/ );
+			assert.throws( () => new RateLimitRedis({
+				customRoutes: [ { path: '/', refillRate: -1 } ]
+			}), /Invalid refillRate/ );
+		});
+
+		it('should allow a burst up to the capacity', async function () {
+			let retry;
+
+			for (let i = 1; i <= route.capacity + 1; i++) {
+				let response;
+
+				try {
+					response = await rateLimitRedis.process(request);
+				} catch (err) {
+					return Promise.reject(err);
+				}
+
+				assert.strictEqual(response.limit, route.capacity);
+
+				if (i <= route.capacity) {
+					assert.strictEqual(response.status, 200);
+					assert.strictEqual(response.remaining, route.capacity - i);
+				} else {
+					assert.strictEqual(response.status, 429);
+					assert.strictEqual(response.remaining, 0);
+					retry = response.retryMs;
+				}
+			}
+
+			// one token every second
+			assert.strictEqual(retry > 0, true);
+			assert.strictEqual(retry <= 1000 / route.refillRate, true);
+		});
+
+		it('should allow a request once the next token is added', async function () {
+			this.timeout(1000 / route.refillRate + 500);
+
+			await wait(1000 / route.refillRate + 10);
+
+			let response;
+
+			try {
+				response = await rateLimitRedis.process(request);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(response.remaining, 0);
+		});
+
+		it('should default the capacity and refill rate to the limit and timeframe', async function () {
+			const tokenBucket = new RateLimitRedis({
+				...options,
+				algorithm: 'token-bucket',
+				customRoutes: undefined,
+			});
+
+			let response;
+
+			try {
+				await tokenBucket.connect();
+				await tokenBucket.reset(tokenBucket.getKey(TEST_IP));
+				response = await tokenBucket.process({ ip: TEST_IP });
+				await tokenBucket.reset(tokenBucket.getKey(TEST_IP));
+				await tokenBucket.disconnect();
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(response.limit, RATE_LIMIT);
+			assert.strictEqual(response.remaining, RATE_LIMIT - 1);
+		});
+
+	});
+
+	describe('gcra', function () {
+
+		const route = options.customRoutes[4];
+		const interval = route.timeframe * 1000 / route.limit;
+		const request = {
+			ip: TEST_IP,
+			url: route.path,
+			method: 'get',
+		};
+		const key = rateLimitRedis.getKey(TEST_IP, `get:${route.path}`);
+
+		before(async function () {
+			return rateLimitRedis.reset(key);
+		});
+
+		after(async function () {
+			return rateLimitRedis.reset(key);
+		});
+
+		it('should allow a burst and then space requests', async function () {
+			let response;
+
+			for (let i = 1; i <= route.burst + 1; i++) {
+
+				try {
+					response = await rateLimitRedis.process(request);
+				} catch (err) {
+					return Promise.reject(err);
+				}
+
+				assert.strictEqual(response.limit, route.burst);
+				assert.strictEqual(response.timeframe, route.timeframe);
+
+				if (i <= route.burst) {
+					assert.strictEqual(response.status, 200);
+					assert.strictEqual(response.remaining, route.burst - i);
+				}
+			}
+
+			assert.strictEqual(response.status, 429);
+			assert.strictEqual(response.remaining, 0);
+			assert.strictEqual(response.retryMs > 0, true);
+			assert.strictEqual(response.retryMs <= interval, true);
+			assert.strictEqual(response.reset > Date.now(), true);
+			assert.strictEqual(response.reset <= Date.now() + interval * route.burst, true);
+		});
+
+		it('should store a single theoretical arrival time', async function () {
+			let tat;
+
+			try {
+				tat = await rateLimitRedis.redisClient.get(`{${key}}:gcra`);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(isNaN(tat), false);
+			assert.strictEqual(Number(tat) > Date.now(), true);
+		});
+
+		it('should allow a request after the emission interval', async function () {
+			this.timeout(interval + 500);
+
+			await wait(interval + 10);
+
+			let response;
+
+			try {
+				response = await rateLimitRedis.process(request);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(response.remaining, 0);
+		});
+
+	});
+
+});
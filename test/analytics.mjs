@@ -0,0 +1,211 @@
+import assert from 'assert';
+import { RateLimitRedis, MemoryStore, RateLimitAdmin } from '../lib/index.mjs';
+
+const TEST_IP = '192.168.19.1';
+const OTHER_IP = '192.168.19.2';
+
+describe('Rate Limit Redis Analytics Test', function () {
+
+	const options = {
+		timeframe: 60,
+		limit: 1,
+		analytics: { bucket: 60, retention: 3600 },
+		customRoutes: [
+			{ path: '/login', method: 'post', name: 'login', limit: 1 },
+		],
+	};
+
+	// two throttled requests from TEST_IP and one from OTHER_IP
+	async function traffic (limiter) {
+		for (let i = 0; i < 3; i++) {
+			await limiter.process({ ip: TEST_IP, url: '/login', method: 'post' });
+		}
+		await limiter.process({ ip: OTHER_IP });
+		await limiter.process({ ip: OTHER_IP });
+	}
+
+	it('should throw on invalid options', async function () {
+		const limiter = new RateLimitRedis({ store: new MemoryStore(), analytics: true });
+
+		assert.throws( () => new RateLimitRedis({ store: new MemoryStore(), analytics: { bucket: 0 } }), /Invalid analytics bucket/ );
+		assert.throws( () => new RateLimitRedis({ store: { connect () {} }, analytics: true }), /does not support analytics/ );
+
+		await assert.rejects( new RateLimitRedis({ store: new MemoryStore() }).topOffenders(), /not enabled/ );
+		await assert.rejects( limiter.topOffenders({ metric: 'blocked' }), /Invalid metric/ );
+		await assert.rejects( limiter.topOffenders({ by: 'ip' }), /Invalid by/ );
+		await assert.rejects( limiter.topOffenders({ period: 0 }), /Invalid period/ );
+		await assert.rejects( limiter.topOffenders({ count: 1.5 }), /Invalid count/ );
+	});
+
+	describe('MemoryStore', function () {
+
+		let limiter;
+
+		beforeEach(async function () {
+			limiter = new RateLimitRedis({ store: new MemoryStore(), ...options });
+			await traffic(limiter);
+		});
+
+		it('should rank throttled identities and routes', async function () {
+			let identities, routes;
+
+			try {
+				identities = await limiter.topOffenders();
+				routes = await limiter.topOffenders({ by: 'route', count: 1 });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.deepStrictEqual(identities, [
+				{ identity: TEST_IP, count: 2 },
+				{ identity: OTHER_IP, count: 1 },
+			]);
+			assert.deepStrictEqual(routes, [{ route: 'login', count: 2 }]);
+		});
+
+		it('should rank identities by requests', async function () {
+			let top;
+
+			try {
+				top = await limiter.topOffenders({ metric: 'requests', period: 60 });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.deepStrictEqual(top, [
+				{ identity: TEST_IP, count: 3 },
+				{ identity: OTHER_IP, count: 2 },
+			]);
+		});
+
+		it('should not delay requests while recording them', async function () {
+			let result;
+
+			limiter.store.incrementScores = () => new Promise( () => {} );
+
+			try {
+				result = await limiter.process({ ip: '192.168.19.3' });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(result.status, 200);
+		});
+
+		it('should not sum buckets past the retention', async function () {
+			const topScores = limiter.store.topScores;
+			let keys;
+
+			limiter.store.topScores = function (...args) {
+				keys = args[0];
+				return topScores.apply(this, args);
+			};
+
+			try {
+				await limiter.topOffenders({ period: 365 * 86400 });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			// the retention and the current bucket
+			assert.strictEqual(keys.length, 3600 / 60 + 2);
+		});
+
+		it('should expire buckets after the retention', function () {
+			const key = limiter._analyticsKey( 'limited', 'identity', limiter._analyticsBucket( Date.now() ) );
+			const ttl = limiter.store.ttl(key);
+
+			assert.strictEqual(ttl > 3600 * 1000 && ttl <= 3660 * 1000, true);
+		});
+
+		it('should list the consumers found in the analytics', async function () {
+			let consumers;
+
+			limiter.store.keys = () => {
+				throw new Error('Unexpected scan');
+			};
+
+			try {
+				consumers = await new RateLimitAdmin(limiter).listTopConsumers();
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.deepStrictEqual(consumers, [
+				{ identity: TEST_IP, key: limiter.getKey(TEST_IP, 'post:/login'), rule: 'login', used: 1, limit: 1, remaining: 0, blocked: false },
+				{ identity: OTHER_IP, key: limiter.getKey(OTHER_IP), rule: 'default', used: 1, limit: 1, remaining: 0, blocked: false },
+			]);
+		});
+
+	});
+
+	describe('RedisStore', function () {
+
+		const redisOptions = {
+			redis: {
+				uri: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`
+			},
+			namespace: 'rate-limit-analytics',
+			...options,
+		};
+		const limiter = new RateLimitRedis(redisOptions);
+
+		before(async function () {
+			await limiter.connect();
+		});
+
+		after(async function () {
+			const admin = new RateLimitAdmin(limiter);
+
+			await admin.resetIdentity(TEST_IP);
+			await admin.resetIdentity(OTHER_IP);
+
+			for (const key of await limiter.store.keys('{rate-limit-analytics:analytics}:*')) {
+				await limiter.reset(key);
+			}
+
+			return limiter.disconnect();
+		});
+
+		it('should rank throttled identities across buckets', async function () {
+			let top, requests;
+
+			try {
+				await traffic(limiter);
+				top = await limiter.topOffenders({ period: 86400 });
+				requests = await limiter.topOffenders({ metric: 'requests', by: 'route' });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.deepStrictEqual(top, [
+				{ identity: TEST_IP, count: 2 },
+				{ identity: OTHER_IP, count: 1 },
+			]);
+			assert.deepStrictEqual(requests, [
+				{ route: 'login', count: 3 },
+				{ route: 'default', count: 2 },
+			]);
+		});
+
+		it('should sum more buckets than Lua can unpack at once', async function () {
+			// one second buckets also start where the minute buckets do
+			const seconds = new RateLimitRedis({ ...redisOptions, analytics: { bucket: 1, retention: 10000 } });
+			let top;
+
+			try {
+				top = await seconds.topOffenders({ period: 10000 });
+				await seconds.disconnect();
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.deepStrictEqual(top, [
+				{ identity: TEST_IP, count: 2 },
+				{ identity: OTHER_IP, count: 1 },
+			]);
+		});
+
+	});
+
+});
@@ -0,0 +1,133 @@
+import assert from 'assert';
+import { RateLimitRedis, MemoryStore } from '../lib/index.mjs';
+
+const TEST_IP = '192.168.13.1';
+
+function wait (ms) {
+	return new Promise( (resolve) => setTimeout(resolve, ms) );
+}
+
+describe('Rate Limit Redis Block Test', function () {
+	const options = {
+		redis: {
+			uri: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`
+		},
+		namespace: 'rate-limit-block',
+		algorithm: 'sliding-log',
+		timeframe: 60,
+		limit: 2,
+		customRoutes: [
+			{
+				path: '/login',
+				method: 'post',
+				limit: 2,
+				timeframe: 60,
+				blockDuration: [1, 3],
+				blockPeriod: 600,
+			},
+		],
+	};
+
+	const rateLimitRedis = new RateLimitRedis(options);
+	const login = { ip: TEST_IP, url: '/login', method: 'post' };
+
+	before(async function () {
+		return rateLimitRedis.connect();
+	});
+
+	after(async function () {
+		for (const key of [rateLimitRedis.getKey(TEST_IP), rateLimitRedis.getKey(TEST_IP, 'post:/login')]) {
+			await rateLimitRedis.reset(key);
+			await rateLimitRedis.reset(`{${key}}:block`);
+			await rateLimitRedis.reset(`{${key}}:violations`);
+		}
+		return rateLimitRedis.disconnect();
+	});
+
+	it('should throw on an invalid block duration', function () {
+		assert.throws( () => new RateLimitRedis({ blockDuration: 0 }), /Invalid blockDuration/ );
+		assert.throws( () => new RateLimitRedis({ blockDuration: [] }), /Invalid blockDuration/ );
+		assert.throws( () => new RateLimitRedis({ customRoutes: [{ path: '/', blockPeriod: -1 }] }), /Invalid blockPeriod/ );
+	});
+
+	it('should not block routes without a block duration', async function () {
+		let result;
+
+		try {
+			for (let i = 0; i < 3; i++) {
+				result = await rateLimitRedis.process({ ip: TEST_IP });
+			}
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 429);
+		assert.strictEqual('blocked' in result, false);
+	});
+
+	it('should block for longer after repeated violations', async function () {
+		this.timeout(5000);
+
+		let result;
+
+		try {
+			for (let i = 0; i < 2; i++) {
+				result = await rateLimitRedis.process(login);
+				assert.strictEqual(result.status, 200);
+			}
+
+			result = await rateLimitRedis.process(login);
+			assert.strictEqual(result.status, 429);
+			assert.strictEqual(result.blocked, true);
+			assert.strictEqual(result.retryMs, 1000);
+
+			result = await rateLimitRedis.process(login);
+			assert.strictEqual(result.blocked, true);
+			assert.strictEqual(result.retryMs <= 1000, true);
+
+			await wait(1000);
+
+			// the window is still full, so the second violation blocks for longer
+			result = await rateLimitRedis.process(login);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 429);
+		assert.strictEqual(result.blocked, true);
+		assert.strictEqual(result.retryMs, 3000);
+		assert.strictEqual(result.retry, 3);
+	});
+
+	describe('MemoryStore', function () {
+
+		it('should escalate blocks until the violations expire', function () {
+			let now = 1700000000000;
+
+			const store = new MemoryStore({ clock: () => now });
+			const options = {
+				blockKey: 'block',
+				violationsKey: 'violations',
+				blockDurations: [1000, 5000],
+				blockPeriod: 60000,
+			};
+			const evaluate = () => store.evaluateAll('fixed-window', ['key'], [[1, 60000]], options)[0];
+
+			assert.deepStrictEqual( evaluate(), [1, 60000, 1] );
+			assert.deepStrictEqual( evaluate(), [1, 1000, 0, 1000, 1] );
+
+			now += 1000;
+			assert.deepStrictEqual( evaluate(), [1, 5000, 0, 5000, 1] );
+
+			now += 5000;
+			assert.deepStrictEqual( evaluate(), [1, 5000, 0, 5000, 1] );
+			assert.strictEqual( store.get('violations'), '3' );
+
+			now += 60000;
+			assert.deepStrictEqual( evaluate(), [1, 60000, 1] );
+			assert.strictEqual( store.get('violations'), null );
+		});
+
+	});
+
+});
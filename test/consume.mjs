@@ -0,0 +1,146 @@
+import assert from 'assert';
+import { RateLimitRedis } from '../lib/index.mjs';
+
+const LOGIN = 'login:jane';
+const QUEUE = 'queue:exports';
+
+describe('Rate Limit Redis Consume Test', function () {
+	const options = {
+		redis: {
+			uri: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`
+		},
+		namespace: 'rate-limit-consume',
+		algorithm: 'sliding-log',
+		timeframe: 60,
+		limit: 5,
+	};
+
+	const rateLimitRedis = new RateLimitRedis(options);
+
+	before(async function () {
+		return rateLimitRedis.connect();
+	});
+
+	after(async function () {
+		for (const key of [LOGIN, QUEUE]) {
+			await rateLimitRedis.reset(rateLimitRedis.getKey(key));
+			await rateLimitRedis.reset(`{${rateLimitRedis.getKey(key)}}:block`);
+		}
+		return rateLimitRedis.disconnect();
+	});
+
+	it('should throw on invalid arguments', async function () {
+		await assert.rejects( rateLimitRedis.consume(''), /Invalid key/ );
+		await assert.rejects( rateLimitRedis.consume(LOGIN, { limit: 0 }), /Invalid limit/ );
+		await assert.rejects( rateLimitRedis.consume(LOGIN, { cost: 1.5 }), /Invalid cost/ );
+		await assert.rejects( rateLimitRedis.penalty(LOGIN, -1), /Invalid points/ );
+		await assert.rejects( rateLimitRedis.block(LOGIN, 0), /Invalid block duration/ );
+	});
+
+	it('should consume a key with its own limit', async function () {
+		let result;
+
+		try {
+			for (let i = 1; i <= 3; i++) {
+				result = await rateLimitRedis.consume(LOGIN, { limit: 3, timeframe: 900, name: 'login' });
+				assert.strictEqual(result.status, 200);
+				assert.strictEqual(result.remaining, 3 - i);
+			}
+
+			result = await rateLimitRedis.consume(LOGIN, { limit: 3, timeframe: 900, name: 'login' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 429);
+		assert.strictEqual(result.policy, 'login');
+		assert.strictEqual(result.limit, 3);
+		assert.strictEqual(result.timeframe, 900);
+		assert.strictEqual(result.retry > 0, true);
+	});
+
+	it('should get a key without consuming it', async function () {
+		let result;
+
+		try {
+			result = await rateLimitRedis.get(QUEUE);
+			assert.strictEqual(result.status, 200);
+			assert.strictEqual(result.remaining, 5);
+
+			await rateLimitRedis.consume(QUEUE, { cost: 2 });
+			result = await rateLimitRedis.get(QUEUE);
+			assert.strictEqual(result.remaining, 3);
+
+			result = await rateLimitRedis.get(QUEUE, { cost: 4 });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 429);
+		assert.strictEqual(result.remaining, 3);
+	});
+
+	it('should apply penalties and rewards', async function () {
+		let result;
+
+		try {
+			// a penalty is applied even over the limit
+			result = await rateLimitRedis.penalty(QUEUE, 4);
+			assert.strictEqual(result.status, 200);
+			assert.strictEqual(result.remaining, 0);
+
+			result = await rateLimitRedis.consume(QUEUE);
+			assert.strictEqual(result.status, 429);
+
+			result = await rateLimitRedis.reward(QUEUE, 3);
+			assert.strictEqual(result.remaining, 2);
+
+			result = await rateLimitRedis.consume(QUEUE);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 200);
+		assert.strictEqual(result.remaining, 1);
+	});
+
+	it('should reject a blocked key without counting it', async function () {
+		let result;
+
+		try {
+			assert.strictEqual(await rateLimitRedis.block(QUEUE, 30), true);
+
+			result = await rateLimitRedis.consume(QUEUE);
+			assert.strictEqual(result.status, 429);
+			assert.strictEqual(result.blocked, true);
+			assert.strictEqual(result.remaining, 0);
+			assert.strictEqual(result.retryMs > 29 * 1000, true);
+
+			await rateLimitRedis.reset(`{${rateLimitRedis.getKey(QUEUE)}}:block`);
+
+			result = await rateLimitRedis.get(QUEUE);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 200);
+		assert.strictEqual('blocked' in result, false);
+		assert.strictEqual(result.remaining, 1);
+	});
+
+	it('should connect to block a key', async function () {
+		const limiter = new RateLimitRedis(options);
+		let result;
+
+		try {
+			assert.strictEqual(await limiter.block(LOGIN, 30), true);
+			result = await limiter.get(LOGIN);
+			await limiter.disconnect();
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.blocked, true);
+	});
+
+});
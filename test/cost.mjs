@@ -0,0 +1,150 @@
+import assert from 'assert';
+import { RateLimitRedis } from '../lib/index.mjs';
+
+const TEST_IP = '192.168.12.1';
+const OTHER_IP = '192.168.12.2';
+const RATE_LIMIT = 10;
+
+describe('Rate Limit Redis Cost Test', function () {
+	const options = {
+		redis: {
+			uri: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`
+		},
+		namespace: 'rate-limit-cost',
+		algorithm: 'sliding-log',
+		timeframe: 60,
+		limit: RATE_LIMIT,
+		cost: (request) => request.units,
+		customRoutes: [
+			{
+				path: '/export',
+				method: 'get',
+				cost: 4,
+			},
+			{
+				path: '/bucket',
+				method: 'get',
+				algorithm: 'token-bucket',
+				capacity: RATE_LIMIT,
+				refillRate: 0.01,
+				cost: 3,
+			},
+			{
+				path: '/upload',
+				method: 'post',
+				algorithm: 'fixed-window',
+			},
+		],
+	};
+
+	const rateLimitRedis = new RateLimitRedis(options);
+
+	before(async function () {
+		return rateLimitRedis.connect();
+	});
+
+	after(async function () {
+		await rateLimitRedis.reset(rateLimitRedis.getKey(TEST_IP));
+		await rateLimitRedis.reset(rateLimitRedis.getKey(TEST_IP, 'get:/export'));
+		await rateLimitRedis.reset(rateLimitRedis.getKey(TEST_IP, 'get:/bucket'));
+		await rateLimitRedis.reset(rateLimitRedis.getKey(TEST_IP, 'post:/upload'));
+		await rateLimitRedis.reset(rateLimitRedis.getKey(OTHER_IP, 'post:/upload'));
+		return rateLimitRedis.disconnect();
+	});
+
+	it('should throw on an invalid cost', async function () {
+		assert.throws( () => new RateLimitRedis({ cost: 0 }), /Invalid cost/ );
+		assert.throws( () => new RateLimitRedis({ customRoutes: [{ path: '/', cost: 1.5 }] }), /Invalid cost/ );
+		await assert.rejects( rateLimitRedis.process({ ip: TEST_IP, units: -1 }), /Invalid cost/ );
+	});
+
+	it('should consume the cost returned by a function', async function () {
+		let result;
+
+		try {
+			result = await rateLimitRedis.process({ ip: TEST_IP, units: 6 });
+			assert.strictEqual(result.status, 200);
+			assert.strictEqual(result.remaining, RATE_LIMIT - 6);
+
+			// without units the default cost of one applies
+			result = await rateLimitRedis.process({ ip: TEST_IP });
+			assert.strictEqual(result.remaining, RATE_LIMIT - 7);
+
+			result = await rateLimitRedis.process({ ip: TEST_IP, units: 4 });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 429);
+		assert.strictEqual(result.remaining, RATE_LIMIT - 7);
+	});
+
+	it('should consume the cost of a custom route', async function () {
+		let result;
+
+		try {
+			for (let i = 1; i <= 2; i++) {
+				result = await rateLimitRedis.process({ ip: TEST_IP, url: '/export', method: 'get' });
+				assert.strictEqual(result.status, 200);
+				assert.strictEqual(result.remaining, RATE_LIMIT - i * 4);
+			}
+
+			result = await rateLimitRedis.process({ ip: TEST_IP, url: '/export', method: 'get' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 429);
+		assert.strictEqual(result.remaining, 2);
+		assert.strictEqual(result.retry > 0, true);
+	});
+
+	it('should take as many tokens as a request costs', async function () {
+		let result;
+
+		try {
+			for (let i = 1; i <= 3; i++) {
+				result = await rateLimitRedis.process({ ip: TEST_IP, url: '/bucket', method: 'get' });
+				assert.strictEqual(result.status, 200);
+				assert.strictEqual(result.remaining, RATE_LIMIT - i * 3);
+			}
+
+			result = await rateLimitRedis.process({ ip: TEST_IP, url: '/bucket', method: 'get' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 429);
+		assert.strictEqual(result.remaining, 1);
+		// two tokens are missing at 0.01 per second
+		assert.strictEqual(result.retryMs > 100 * 1000, true);
+	});
+
+	it('should fill a fixed window up to its limit', async function () {
+		const upload = (ip, units) => rateLimitRedis.process({ ip, url: '/upload', method: 'post', units });
+		let result, oversized;
+
+		try {
+			result = await upload(TEST_IP, 6);
+			assert.strictEqual(result.remaining, RATE_LIMIT - 6);
+
+			result = await upload(TEST_IP, 4);
+			assert.strictEqual(result.status, 200);
+			assert.strictEqual(result.remaining, 0);
+
+			result = await upload(TEST_IP, 1);
+			oversized = await upload(OTHER_IP, RATE_LIMIT + 1);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 429);
+		assert.strictEqual(result.remaining, 0);
+
+		// a rejected request isn't counted, even in a new window
+		assert.strictEqual(oversized.status, 429);
+		assert.strictEqual(oversized.remaining, RATE_LIMIT);
+		assert.strictEqual( (await upload(OTHER_IP, RATE_LIMIT)).status, 200 );
+	});
+
+});
@@ -0,0 +1,124 @@
+import assert from 'assert';
+import { RateLimitRedis, MemoryStore } from '../lib/index.mjs';
+
+const TEST_IP = '192.168.16.1';
+
+// records every event emitted by a limiter
+function record (limiter) {
+	const events = [];
+
+	['allowed', 'limited', 'blocked', 'whitelisted', 'ignored', 'redisError', 'degraded'].forEach( (name) => {
+		limiter.on(name, (event) => events.push([name, event]) );
+	});
+
+	return events;
+}
+
+describe('Rate Limit Redis Events Test', function () {
+
+	it('should emit allowed, limited and blocked requests', async function () {
+		const limiter = new RateLimitRedis({
+			store: new MemoryStore(),
+			limit: 1,
+			timeframe: 60,
+			customRoutes: [
+				{ path: '/login', method: 'post', name: 'login', limit: 1, blockDuration: 60 },
+			],
+		});
+		const events = record(limiter);
+		const request = { ip: TEST_IP, url: '/login', method: 'post' };
+
+		try {
+			await limiter.process(request);
+			await limiter.process(request);
+			await limiter.process(request);
+			await limiter.process({ ip: TEST_IP });
+			await limiter.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.deepStrictEqual( events.map( ([name]) => name ), ['allowed', 'blocked', 'blocked', 'allowed', 'limited'] );
+
+		const [, allowed] = events[0];
+
+		assert.strictEqual(allowed.key, limiter.getKey(TEST_IP, 'post:/login'));
+		assert.strictEqual(allowed.rule, 'login');
+		assert.strictEqual(allowed.count, 1);
+		assert.strictEqual(allowed.remaining, 0);
+		assert.strictEqual(allowed.request, request);
+		assert.strictEqual(allowed.result.status, 200);
+		assert.strictEqual(allowed.latency >= 0, true);
+
+		assert.strictEqual(events[1][1].reason, 'block');
+		assert.strictEqual(events[4][1].rule, 'default');
+		assert.strictEqual(events[4][1].result.status, 429);
+	});
+
+	it('should emit whitelisted, blacklisted and ignored requests', async function () {
+		const limiter = new RateLimitRedis({
+			store: new MemoryStore(),
+			whitelist: ['10.0.0.0/8'],
+			blacklist: ['203.0.113.7'],
+			customRoutes: [
+				{ path: '/health', method: '*', ignore: true },
+			],
+		});
+		const events = record(limiter);
+
+		try {
+			await limiter.process({ ip: '::ffff:10.0.0.1' });
+			await limiter.process({ ip: '203.0.113.7' });
+			await limiter.process({ ip: TEST_IP, url: '/health', method: 'head' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.deepStrictEqual( events.map( ([name]) => name ), ['whitelisted', 'blocked', 'ignored'] );
+		assert.strictEqual(events[0][1].ip, '10.0.0.1');
+		assert.strictEqual(events[1][1].reason, 'blacklist');
+		assert.strictEqual(events[1][1].result.status, 403);
+		assert.strictEqual(events[2][1].rule, '*:/health');
+	});
+
+	it('should not emit for peeks, penalties and rewards', async function () {
+		const limiter = new RateLimitRedis({ store: new MemoryStore() });
+		const events = record(limiter);
+
+		try {
+			await limiter.get('queue');
+			await limiter.penalty('queue', 2);
+			await limiter.reward('queue', 1);
+			await limiter.consume('queue');
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.deepStrictEqual( events.map( ([name]) => name ), ['allowed'] );
+		assert.strictEqual(events[0][1].count, 2);
+	});
+
+	it('should emit Redis errors with the key and rule', async function () {
+		const limiter = new RateLimitRedis({
+			redis: {
+				isOpen: true,
+				evalSha: () => Promise.reject( new Error('connect ECONNREFUSED 127.0.0.1:6379') ),
+			},
+			onRedisError: 'open',
+		});
+		const events = record(limiter);
+
+		try {
+			await limiter.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.deepStrictEqual( events.map( ([name]) => name ), ['redisError', 'degraded', 'allowed'] );
+		assert.match(events[0][1].error.message, /ECONNREFUSED/);
+		assert.strictEqual(events[0][1].key, limiter.getKey(TEST_IP));
+		assert.strictEqual(events[1][1].rule, 'default');
+		assert.strictEqual(events[2][1].result.degraded, true);
+	});
+
+});
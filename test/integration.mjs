@@ -21,13 +21,16 @@ describe('Rate Limit Redis Server Test', function() {
 		// headers: true,
 	};
 	
-	let server;
+	let server, limiter;
 
 	before( async function ()  {
 	
 		app.enable('trust proxy');
 	
-		app.use( await rateLimitRedis(options) );
+		const middleware = rateLimitRedis(options);
+
+		limiter = middleware.rateLimitRedis;
+		app.use(middleware);
 	
 		app.get('/', (req, res) => {
 			process.nextTick( () => res.send('OK') );
@@ -39,7 +42,7 @@ describe('Rate Limit Redis Server Test', function() {
 
 	after(function(done){
 		server.close( () => {
-			global.rateLimitRedis.disconnect();
+			limiter.disconnect();
 			done();
 		});
 	});
@@ -48,7 +51,7 @@ describe('Rate Limit Redis Server Test', function() {
 		
 		this.timeout(2000);
 		
-		for (let i = 1; i <= RATE_LIMIT; i++) {
+		for (let i = 1; i <= RATE_LIMIT + 1; i++) {
 
 			let res;
 
@@ -68,7 +71,7 @@ describe('Rate Limit Redis Server Test', function() {
 				, RATE_LIMIT);
 
 			
-			if (i < RATE_LIMIT) {
+			if (i <= RATE_LIMIT) {
 
 				assert.strictEqual(res.status, 200, 
 					`Status code should be 200 but got ${res.status}. \
@@ -76,6 +79,7 @@ This is likely due to running the test multiple times without letting the \
 cache expire. Run the test again in ${TIMEFRAME_SEC} second(s)`);
 				assert.strictEqual( parseInt( res.headers['x-ratelimit-remaining'] )
 					, RATE_LIMIT-i );
+				assert.strictEqual('retry-after' in res.headers, false);
 
 			} else {
 				assert.strictEqual(res.status, 429);
@@ -89,4 +93,296 @@ cache expire. Run the test again in ${TIMEFRAME_SEC} second(s)`);
 		
 	});
 
+	it('should not reach the route handler once rate limited', async function ()  {
+
+		let res;
+
+		try {
+			res = await request(app)
+				.get('/')
+				.set('x-forwarded-for', TEST_IP);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(res.status, 429);
+		assert.strictEqual(res.headers['content-type'].startsWith('text/plain'), true);
+		assert.strictEqual(res.text, 'Too Many Requests');
+
+	});
+
+	describe('Rejection Options', function() {
+
+		const LIMIT = 2;
+
+		let limiter;
+
+		function createApp (args) {
+
+			const app = express();
+
+			app.enable('trust proxy');
+
+			const middleware = rateLimitRedis({
+				...options,
+				limit: LIMIT,
+				namespace: 'rate-limit-rejection',
+				...args,
+			});
+
+			limiter = middleware.rateLimitRedis;
+
+			app.use(middleware);
+
+			app.get('/', (req, res) => {
+				res.send('OK');
+			});
+
+			return app;
+
+		}
+
+		async function exhaust (app, ip) {
+
+			let res;
+
+			for (let i = 0; i <= LIMIT; i++) {
+				res = await request(app)
+					.get('/')
+					.set('x-forwarded-for', ip);
+			}
+
+			return res;
+
+		}
+
+		afterEach(function () {
+			return limiter.disconnect();
+		});
+
+		it('should respond with a JSON message', async function ()  {
+
+			const message = { error: 'Slow down' };
+
+			let res;
+
+			try {
+				res = await exhaust( createApp({ message }), '192.168.2.1' );
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(res.status, 429);
+			assert.deepStrictEqual(res.body, message);
+
+		});
+
+		it('should call a custom handler', async function ()  {
+
+			let handled;
+
+			const handler = function (req, res, next, result) {
+				handled = result;
+				res.status(503).send('Come back later');
+			};
+
+			let res;
+
+			try {
+				res = await exhaust( createApp({ handler }), '192.168.2.2' );
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(res.status, 503);
+			assert.strictEqual(res.text, 'Come back later');
+			assert.strictEqual(handled.status, 429);
+			assert.strictEqual(handled.remaining, 0);
+
+		});
+
+		it('should pass throttled requests through', async function ()  {
+
+			let res;
+
+			try {
+				res = await exhaust( createApp({ passThrough: true }), '192.168.2.3' );
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(res.status, 429);
+			assert.strictEqual(res.text, 'OK');
+
+		});
+
+	});
+
+	it('should throw on an invalid header mode', function ()  {
+		assert.throws(
+			() => rateLimitRedis({ ...options, headers: 'draft-1' }),
+			/Invalid headers/
+		);
+	});
+
+	describe('Header Modes', function() {
+
+		let limiter;
+
+		function createApp (headers) {
+
+			const app = express();
+
+			app.enable('trust proxy');
+
+			const middleware = rateLimitRedis({
+				...options,
+				limit: 2,
+				namespace: 'rate-limit-headers',
+				headers,
+			});
+
+			limiter = middleware.rateLimitRedis;
+
+			app.use(middleware);
+
+			app.get('/', (req, res) => {
+				res.send('OK');
+			});
+
+			return app;
+
+		}
+
+		afterEach(function () {
+			return limiter.disconnect();
+		});
+
+		it('should set draft-6 headers', async function ()  {
+
+			let app, res;
+
+			try {
+				app = createApp('draft-6');
+				res = await request(app)
+					.get('/')
+					.set('x-forwarded-for', '192.168.3.1');
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(res.status, 200);
+			assert.strictEqual(res.headers['ratelimit-limit'], '2');
+			assert.strictEqual(res.headers['ratelimit-remaining'], '1');
+			assert.strictEqual(res.headers['ratelimit-reset'], String(TIMEFRAME_SEC));
+			assert.strictEqual(res.headers['ratelimit-policy'], `2;w=${TIMEFRAME_SEC}`);
+			assert.strictEqual('x-ratelimit-limit' in res.headers, false);
+			assert.strictEqual('retry-after' in res.headers, false);
+
+			try {
+				res = await request(app)
+					.get('/')
+					.set('x-forwarded-for', '192.168.3.1');
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			// the remaining request is allowed
+			assert.strictEqual(res.status, 200);
+			assert.strictEqual(res.headers['ratelimit-remaining'], '0');
+
+			try {
+				res = await request(app)
+					.get('/')
+					.set('x-forwarded-for', '192.168.3.1');
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(res.status, 429);
+			assert.strictEqual(res.headers['ratelimit-remaining'], '0');
+			assert.strictEqual(res.headers['retry-after'], String(TIMEFRAME_SEC));
+
+		});
+
+		it('should set draft-8 headers', async function ()  {
+
+			let res;
+
+			try {
+				res = await request( createApp('draft-8') )
+					.get('/')
+					.set('x-forwarded-for', '192.168.3.2');
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(res.status, 200);
+			assert.strictEqual(res.headers['ratelimit-policy'], `"default";q=2;w=${TIMEFRAME_SEC}`);
+			assert.strictEqual(res.headers['ratelimit'], `"default";r=1;t=${TIMEFRAME_SEC}`);
+			assert.strictEqual('ratelimit-limit' in res.headers, false);
+
+		});
+
+		it('should not set headers when disabled', async function ()  {
+
+			let res;
+
+			try {
+				res = await request( createApp(false) )
+					.get('/')
+					.set('x-forwarded-for', '192.168.3.3');
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(res.status, 200);
+			assert.strictEqual('x-ratelimit-limit' in res.headers, false);
+			assert.strictEqual('ratelimit' in res.headers, false);
+
+		});
+
+	});
+
+	it('should keep separate limiters independent', async function ()  {
+
+		const app = express();
+		const publicLimiter = rateLimitRedis({ ...options, limit: 2, namespace: 'rate-limit-public' });
+		const adminLimiter = rateLimitRedis({ ...options, limit: 100, namespace: 'rate-limit-admin' });
+
+		app.enable('trust proxy');
+		app.use('/public', publicLimiter);
+		app.use('/admin', adminLimiter);
+		app.get('/public', (req, res) => res.send('OK'));
+		app.get('/admin', (req, res) => res.send('OK'));
+
+		assert.notStrictEqual(publicLimiter.rateLimitRedis, adminLimiter.rateLimitRedis);
+		assert.strictEqual('rateLimitRedis' in global, false);
+
+		let res;
+
+		try {
+			for (let i = 1; i <= 3; i++) {
+				res = await request(app)
+					.get('/public')
+					.set('x-forwarded-for', '192.168.7.1');
+			}
+
+			assert.strictEqual(res.status, 429);
+
+			res = await request(app)
+				.get('/admin')
+				.set('x-forwarded-for', '192.168.7.1');
+
+			assert.strictEqual(res.status, 200);
+			assert.strictEqual(parseInt(res.headers['x-ratelimit-limit']), 100);
+
+			await publicLimiter.rateLimitRedis.disconnect();
+			await adminLimiter.rateLimitRedis.disconnect();
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+	});
+
 });
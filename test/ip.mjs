@@ -0,0 +1,124 @@
+import assert from 'assert';
+import { RateLimitRedis, MemoryStore } from '../lib/index.mjs';
+import { normalizeIp, parseRange, ipMatcher, ipPrefix } from '../lib/ip.mjs';
+import { rejectionMessage } from '../lib/adapters.mjs';
+
+describe('IP Test', function () {
+
+	it('should normalize addresses', function () {
+		assert.strictEqual( normalizeIp('::ffff:192.168.1.1'), '192.168.1.1' );
+		assert.strictEqual( normalizeIp('::FFFF:c0a8:101'), '192.168.1.1' );
+		assert.strictEqual( normalizeIp('2001:DB8:0:0:1:0:0:1'), '2001:db8::1:0:0:1' );
+		assert.strictEqual( normalizeIp('fe80::1%eth0'), 'fe80::1' );
+		assert.strictEqual( normalizeIp('not an ip'), 'not an ip' );
+	});
+
+	it('should throw on an invalid range', function () {
+		['10.0.0.0/33', '10.0.0.0/', '::/129', '10.0.0.0/8/8', 'localhost'].forEach( (range) => {
+			assert.throws( () => parseRange(range), /Invalid IP range/ );
+		});
+	});
+
+	it('should match addresses against CIDR ranges', function () {
+		const matches = ipMatcher(['10.0.0.0/8', '192.168.1.7', '2001:db8::/32', '::ffff:172.16.0.0/108']);
+
+		assert.strictEqual( matches('10.200.3.4'), true );
+		assert.strictEqual( matches('::ffff:10.1.2.3'), true );
+		assert.strictEqual( matches('11.0.0.1'), false );
+		assert.strictEqual( matches('192.168.1.7'), true );
+		assert.strictEqual( matches('192.168.1.8'), false );
+		assert.strictEqual( matches('2001:db8:ffff::1'), true );
+		assert.strictEqual( matches('2001:db9::1'), false );
+		assert.strictEqual( matches('172.31.255.255'), true );
+		assert.strictEqual( matches('172.32.0.0'), false );
+		assert.strictEqual( matches(undefined), false );
+	});
+
+	it('should key IPv6 addresses by prefix', function () {
+		assert.strictEqual( ipPrefix('2001:db8:1:2:3:4:5:6', 64), '2001:db8:1:2::/64' );
+		assert.strictEqual( ipPrefix('2001:db8:1:2:3:4:5:6', 48), '2001:db8:1::/48' );
+		assert.strictEqual( ipPrefix('2001:db8:1:2:3:4:5:6', false), '2001:db8:1:2:3:4:5:6' );
+		assert.strictEqual( ipPrefix('::ffff:1.2.3.4', 64), '1.2.3.4' );
+	});
+
+	describe('RateLimitRedis', function () {
+
+		function limiter (options = {}) {
+			return new RateLimitRedis({
+				store: new MemoryStore(),
+				limit: 2,
+				timeframe: 60,
+				whitelist: ['10.0.0.0/8'],
+				blacklist: ['203.0.113.0/24', '10.66.0.0/16'],
+				...options,
+			});
+		}
+
+		it('should throw on invalid options', function () {
+			assert.throws( () => limiter({ whitelist: ['10.0.0.0/40'] }), /Invalid IP range/ );
+			assert.throws( () => limiter({ blacklistStatus: 400 }), /Invalid blacklistStatus/ );
+			assert.throws( () => limiter({ ipv6Subnet: 0 }), /Invalid ipv6Subnet/ );
+		});
+
+		it('should not rate limit whitelisted ranges', async function () {
+			const rateLimitRedis = limiter();
+
+			let result;
+
+			try {
+				for (let i = 0; i < 3; i++) {
+					result = await rateLimitRedis.process({ ip: '::ffff:10.1.2.3' });
+				}
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.deepStrictEqual(result, { status: 200 });
+		});
+
+		it('should reject blacklisted ranges', async function () {
+			let forbidden, limited;
+
+			try {
+				forbidden = await limiter().process({ ip: '10.66.1.1' });
+				limited = await limiter({ blacklistStatus: 429 }).process({ ip: '::ffff:203.0.113.9' });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(forbidden.status, 403);
+			assert.strictEqual(forbidden.blacklisted, true);
+			assert.strictEqual(rejectionMessage(forbidden, 'Too Many Requests'), 'Forbidden');
+
+			assert.strictEqual(limited.status, 429);
+			assert.strictEqual(limited.blacklisted, true);
+			assert.strictEqual(rejectionMessage(limited, 'Too Many Requests'), 'Too Many Requests');
+		});
+
+		it('should share a limit within an IPv6 prefix', async function () {
+			const rateLimitRedis = limiter();
+			const byAddress = limiter({ ipv6Subnet: false });
+
+			let result, other;
+
+			try {
+				await rateLimitRedis.process({ ip: '2001:db8:1:2::1' });
+				await rateLimitRedis.process({ ip: '2001:db8:1:2::2' });
+				result = await rateLimitRedis.process({ ip: '2001:db8:1:2:ffff::3' });
+				other = await rateLimitRedis.process({ ip: '2001:db8:1:3::1' });
+
+				await byAddress.process({ ip: '2001:db8:1:2::1' });
+				await byAddress.process({ ip: '2001:db8:1:2::2' });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(result.status, 429);
+			assert.strictEqual(other.status, 200);
+			assert.strictEqual(byAddress.store.entries.has( byAddress.getKey('2001:db8:1:2::2') ), true);
+			assert.strictEqual(rateLimitRedis.store.entries.has( rateLimitRedis.getKey('2001:db8:1:2::/64') ), true);
+		});
+
+	});
+
+});
@@ -0,0 +1,166 @@
+import assert from 'assert';
+import request from 'supertest';
+import Koa from 'koa';
+import { koaRateLimit } from '../lib/index.mjs';
+
+const TEST_IP = '192.168.4.1';
+const TIMEFRAME_SEC = 1;
+const RATE_LIMIT = 2;
+
+describe('Rate Limit Redis Koa Test', function() {
+
+	const options = {
+		redis: {
+			uri: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`
+		},
+		timeframe: TIMEFRAME_SEC,
+		limit: RATE_LIMIT,
+		namespace: 'rate-limit-koa',
+	};
+
+	const limiters = [];
+
+	function createApp (args) {
+
+		const app = new Koa();
+		const middleware = koaRateLimit({ ...options, ...args });
+
+		limiters.push(middleware.rateLimitRedis);
+
+		app.proxy = true;
+		app.use(middleware);
+		app.use( (ctx) => {
+			ctx.body = 'OK';
+		});
+
+		return app.callback();
+
+	}
+
+	async function exhaust (app, ip) {
+
+		let res;
+
+		for (let i = 0; i <= RATE_LIMIT; i++) {
+			res = await request(app)
+				.get('/')
+				.set('x-forwarded-for', ip);
+		}
+
+		return res;
+
+	}
+
+	after(function () {
+		// a limiter which only saw blacklisted requests never connected
+		return Promise.all( limiters.filter( (limiter) => limiter.store.isOpen ).map( (limiter) => limiter.disconnect() ) );
+	});
+
+	it('should set headers and reject requests once rate limited', async function ()  {
+
+		const app = createApp();
+
+		let res;
+
+		try {
+			res = await request(app)
+				.get('/')
+				.set('x-forwarded-for', TEST_IP);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(res.status, 200);
+		assert.strictEqual(res.text, 'OK');
+		assert.strictEqual(res.headers['x-ratelimit-limit'], String(RATE_LIMIT));
+		assert.strictEqual(res.headers['x-ratelimit-remaining'], String(RATE_LIMIT - 1));
+
+		try {
+			res = await exhaust(app, TEST_IP);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(res.status, 429);
+		assert.strictEqual(res.text, 'Too Many Requests');
+		assert.strictEqual(res.headers['x-ratelimit-remaining'], '0');
+		assert.strictEqual(res.headers['retry-after'], String(TIMEFRAME_SEC));
+
+	});
+
+	it('should respond with a JSON message', async function ()  {
+
+		const app = createApp({ message: { error: 'Slow down' } });
+
+		let res;
+
+		try {
+			res = await exhaust(app, '192.168.4.2');
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(res.status, 429);
+		assert.deepStrictEqual(res.body, { error: 'Slow down' });
+
+	});
+
+	it('should call a custom handler', async function ()  {
+
+		const app = createApp({
+			handler: (ctx, next, result) => {
+				ctx.status = 503;
+				ctx.body = `retry in ${result.retry}s`;
+			},
+		});
+
+		let res;
+
+		try {
+			res = await exhaust(app, '192.168.4.3');
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(res.status, 503);
+		assert.strictEqual(res.text.startsWith('retry in'), true);
+
+	});
+
+	it('should pass throttled requests through', async function ()  {
+
+		const app = createApp({ passThrough: true });
+
+		let res;
+
+		try {
+			res = await exhaust(app, '192.168.4.4');
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(res.status, 429);
+		assert.strictEqual(res.text, 'OK');
+
+	});
+
+	it('should forbid blacklisted requests', async function ()  {
+
+		const app = createApp({ blacklist: ['203.0.113.0/24'], message: 'Slow down' });
+
+		let res;
+
+		try {
+			res = await request(app)
+				.get('/')
+				.set('x-forwarded-for', '203.0.113.9');
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(res.status, 403);
+		assert.strictEqual(res.text, 'Forbidden');
+
+	});
+
+});
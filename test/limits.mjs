@@ -0,0 +1,247 @@
+import assert from 'assert';
+import { RateLimitRedis, MemoryStore } from '../lib/index.mjs';
+import { getHeaders } from '../lib/headers.mjs';
+
+const TEST_IP = '192.168.11.1';
+
+function wait (ms) {
+	return new Promise( (resolve) => setTimeout(resolve, ms) );
+}
+
+describe('Rate Limit Redis Multiple Limits Test', function () {
+	const options = {
+		redis: {
+			uri: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`
+		},
+		namespace: 'rate-limit-limits',
+		algorithm: 'sliding-log',
+		limits: [
+			{ limit: 3, timeframe: 1, name: 'per-second' },
+			{ limit: 5, timeframe: 60, name: 'per-minute' },
+		],
+		customRoutes: [
+			{
+				path: '/single',
+				method: 'get',
+				limit: 2,
+				timeframe: 60,
+			},
+			{
+				path: '/gcra',
+				method: 'get',
+				algorithm: 'gcra',
+				limits: [
+					{ limit: 10, timeframe: 1, burst: 2 },
+					{ limit: 100, timeframe: 3600 },
+				],
+			},
+		],
+	};
+
+	const rateLimitRedis = new RateLimitRedis(options);
+	const key = rateLimitRedis.getKey(TEST_IP);
+
+	before(async function () {
+		return rateLimitRedis.connect();
+	});
+
+	after(async function () {
+		await rateLimitRedis.reset(key);
+		await rateLimitRedis.reset( rateLimitRedis.getKey(TEST_IP, 'get:/gcra') );
+		await rateLimitRedis.reset(rateLimitRedis.getKey(TEST_IP, 'get:/single'));
+		return rateLimitRedis.disconnect();
+	});
+
+	it('should throw on invalid limits', function () {
+		assert.throws( () => new RateLimitRedis({ limits: [] }), /Invalid limits/ );
+		assert.throws( () => new RateLimitRedis({ limits: [{ limit: 10 }] }), /Invalid limits/ );
+		assert.throws(
+			() => new RateLimitRedis({ limits: [{ limit: 1, timeframe: 1 }, { limit: 1, timeframe: 1 }] }),
+			/names must be unique/
+		);
+		assert.throws(
+			() => new RateLimitRedis({ customRoutes: [{ path: '/', limits: [{ limit: 1, timeframe: 1, burst: 0 }] }] }),
+			/Invalid burst/
+		);
+	});
+
+	it('should report the most restrictive limit', async function () {
+		let result;
+
+		try {
+			result = await rateLimitRedis.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 200);
+		assert.strictEqual(result.policy, 'per-second');
+		assert.strictEqual(result.limit, 3);
+		assert.strictEqual(result.remaining, 2);
+		assert.deepStrictEqual(
+			result.limits.map( ({ policy, limit, timeframe, remaining }) => [policy, limit, timeframe, remaining] ),
+			[['per-second', 3, 1, 2], ['per-minute', 5, 60, 4]]
+		);
+	});
+
+	it('should not count a request rejected by any limit', async function () {
+		this.timeout(5000);
+
+		let result;
+
+		try {
+			for (let i = 0; i < 2; i++) {
+				result = await rateLimitRedis.process({ ip: TEST_IP });
+				assert.strictEqual(result.status, 200);
+			}
+
+			result = await rateLimitRedis.process({ ip: TEST_IP });
+			assert.strictEqual(result.status, 429);
+			assert.strictEqual(result.policy, 'per-second');
+			assert.strictEqual(result.retryMs <= 1000, true);
+			assert.strictEqual(result.limits[1].remaining, 2);
+
+			await wait(1000);
+
+			for (let i = 0; i < 2; i++) {
+				result = await rateLimitRedis.process({ ip: TEST_IP });
+				assert.strictEqual(result.status, 200);
+			}
+
+			assert.strictEqual(result.policy, 'per-minute');
+			assert.strictEqual(result.remaining, 0);
+
+			result = await rateLimitRedis.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 429);
+		assert.strictEqual(result.policy, 'per-minute');
+		assert.strictEqual(result.limits[0].remaining, 1);
+		assert.strictEqual(result.retryMs > 1000, true);
+	});
+
+	it('should let a route replace the limits', async function () {
+		let single, gcra;
+
+		try {
+			single = await rateLimitRedis.process({ ip: TEST_IP, url: '/single', method: 'get' });
+			gcra = await rateLimitRedis.process({ ip: TEST_IP, url: '/gcra', method: 'get' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(single.policy, 'get:/single');
+		assert.strictEqual(single.limit, 2);
+		assert.strictEqual('limits' in single, false);
+
+		assert.strictEqual(gcra.status, 200);
+		assert.deepStrictEqual(
+			gcra.limits.map( ({ policy, limit }) => [policy, limit] ),
+			[['10/1s', 2], ['100/3600s', 100]]
+		);
+		assert.strictEqual(gcra.policy, '10/1s');
+	});
+
+	it('should list every limit in the policy headers', function () {
+		const result = {
+			status: 429,
+			policy: 'per-second',
+			limit: 3,
+			timeframe: 1,
+			remaining: 0,
+			reset: Date.now() + 1000,
+			retry: 1,
+			retryMs: 1000,
+			limits: [
+				{ policy: 'per-second', limit: 3, timeframe: 1, remaining: 0 },
+				{ policy: 'per-minute', limit: 5, timeframe: 60, remaining: 2 },
+			],
+		};
+
+		assert.deepStrictEqual( getHeaders(result, 'draft-8'), {
+			'RateLimit-Policy': '"per-second";q=3;w=1, "per-minute";q=5;w=60',
+			'RateLimit': '"per-second";r=0;t=1',
+			'Retry-After': '1',
+		});
+		assert.strictEqual( getHeaders(result, 'draft-6')['RateLimit-Policy'], '3;w=1, 5;w=60' );
+	});
+
+	describe('MemoryStore', function () {
+
+		it('should default each window to the algorithm options of the rule', async function () {
+			const limiter = new RateLimitRedis({
+				store: new MemoryStore(),
+				algorithm: 'gcra',
+				burst: 1,
+				limits: [
+					{ limit: 10, timeframe: 1 },
+					{ limit: 100, timeframe: 3600, burst: 2 },
+				],
+			});
+			let first, second;
+
+			try {
+				first = await limiter.process({ ip: TEST_IP });
+				second = await limiter.process({ ip: TEST_IP });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(first.status, 200);
+			assert.deepStrictEqual( first.limits.map( ({ limit }) => limit ), [1, 2] );
+			assert.strictEqual(second.status, 429);
+			assert.strictEqual(second.policy, '10/1s');
+		});
+
+		it('should reset every window of a key', async function () {
+			const store = new MemoryStore();
+			const limiter = new RateLimitRedis({
+				store,
+				limits: [
+					{ limit: 2, timeframe: 1, name: 'sec' },
+					{ limit: 10, timeframe: 60, name: 'min' },
+				],
+				shadow: { algorithm: 'gcra', limits: [{ limit: 1, timeframe: 60, name: 'trial' }] },
+			});
+			const key = limiter.getKey(TEST_IP);
+			let deleted, result;
+
+			try {
+				for (let i = 0; i <= 2; i++) {
+					result = await limiter.process({ ip: TEST_IP });
+				}
+				assert.strictEqual(result.status, 429);
+				assert.strictEqual(store.keys('*').length, 3);
+
+				deleted = await limiter.reset(key);
+				result = await limiter.process({ ip: TEST_IP });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(deleted, true);
+			assert.strictEqual(result.status, 200);
+			assert.strictEqual(result.remaining, 1);
+			assert.strictEqual(result.shadowLimit.remaining, 0);
+		});
+
+		it('should only count a request when every window allows it', function () {
+			const store = new MemoryStore({ clock: () => 1700000000000 });
+			const keys = ['short', 'long'];
+			const args = [[2, 1000], [3, 60000]];
+
+			store.evaluateAll('sliding-log', keys, args);
+			store.evaluateAll('sliding-log', keys, args);
+
+			assert.deepStrictEqual(
+				store.evaluateAll('sliding-log', keys, args).map( (reply) => reply[2] ),
+				[0, 1]
+			);
+			assert.strictEqual(store.entries.get('long').value.length, 2);
+		});
+
+	});
+
+});
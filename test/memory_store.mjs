@@ -0,0 +1,251 @@
+import assert from 'assert';
+import { MemoryStore } from '../lib/memory_store.mjs';
+import { RateLimitRedis } from '../lib/index.mjs';
+
+const KEY = 'rate-limit:192.168.9.1';
+const WINDOW = 1000;
+const LIMIT = 5;
+
+describe('Memory Store Test', function () {
+
+	let now, store;
+
+	beforeEach(function () {
+		now = 1700000000000;
+		store = new MemoryStore({ clock: () => now });
+	});
+
+	function consume (algorithm, args, times) {
+
+		let reply;
+
+		for (let i = 0; i < times; i++) {
+			reply = store.evaluate(algorithm, KEY, args);
+		}
+
+		return reply;
+
+	}
+
+	it('should throw on an unknown algorithm or an invalid key', function () {
+		assert.throws( () => store.evaluate('leaky', KEY, []), /Unknown rate limit algorithm/ );
+		assert.throws( () => store.evaluate('fixed-window', '', []), /Invalid key/ );
+	});
+
+	it('should count a fixed window', function () {
+		assert.deepStrictEqual( store.evaluate('fixed-window', KEY, [LIMIT, WINDOW]), [1, WINDOW, 1] );
+		assert.deepStrictEqual( consume('fixed-window', [LIMIT, WINDOW], LIMIT - 2), [LIMIT - 1, WINDOW, 1] );
+
+		now += 200;
+
+		assert.deepStrictEqual( store.evaluate('fixed-window', KEY, [LIMIT, WINDOW]), [LIMIT, WINDOW - 200, 1] );
+		assert.deepStrictEqual( store.evaluate('fixed-window', KEY, [LIMIT, WINDOW]), [LIMIT, WINDOW - 200, 0] );
+
+		now += WINDOW - 200;
+
+		assert.deepStrictEqual( store.evaluate('fixed-window', KEY, [LIMIT, WINDOW]), [1, WINDOW, 1] );
+	});
+
+	it('should keep a sliding log', function () {
+		consume('sliding-log', [LIMIT, WINDOW], LIMIT - 1);
+
+		now += 400;
+
+		assert.deepStrictEqual( store.evaluate('sliding-log', KEY, [LIMIT, WINDOW]), [LIMIT, WINDOW - 400, 1] );
+		assert.deepStrictEqual( store.evaluate('sliding-log', KEY, [LIMIT, WINDOW]), [LIMIT, WINDOW - 400, 0] );
+
+		// the first requests leave the window, the last one doesn't
+		now += WINDOW - 400;
+
+		assert.deepStrictEqual( store.evaluate('sliding-log', KEY, [LIMIT, WINDOW]), [2, 400, 1] );
+	});
+
+	it('should weight the previous window of a sliding window', function () {
+		const start = now - (now % WINDOW);
+
+		now = start + WINDOW - 1;
+		consume('sliding-window', [LIMIT, WINDOW], LIMIT);
+
+		assert.strictEqual( store.evaluate('sliding-window', KEY, [LIMIT, WINDOW])[2], 0 );
+
+		// a quarter into the next window three quarters of the previous count
+		now = start + WINDOW + WINDOW / 4;
+
+		const reply = store.evaluate('sliding-window', KEY, [LIMIT, WINDOW]);
+
+		assert.deepStrictEqual( reply, [Math.floor(LIMIT * 3 / 4) + 1, WINDOW * 3 / 4, 1] );
+	});
+
+	it('should refill a token bucket', function () {
+		const args = [3, 10];
+
+		assert.deepStrictEqual( consume('token-bucket', args, 3), [3, 300, 1, 300] );
+		assert.deepStrictEqual( store.evaluate('token-bucket', KEY, args), [3, 100, 0, 300] );
+
+		now += 100;
+
+		assert.deepStrictEqual( store.evaluate('token-bucket', KEY, args), [3, 300, 1, 300] );
+	});
+
+	it('should space requests with GCRA', function () {
+		const args = [10, WINDOW, 2];
+
+		assert.deepStrictEqual( store.evaluate('gcra', KEY, args), [1, 100, 1, 100] );
+		assert.deepStrictEqual( store.evaluate('gcra', KEY, args), [2, 200, 1, 200] );
+		assert.deepStrictEqual( store.evaluate('gcra', KEY, args), [2, 100, 0, 200] );
+
+		now += 100;
+
+		assert.deepStrictEqual( store.evaluate('gcra', KEY, args), [2, 200, 1, 200] );
+	});
+
+	it('should consume the cost of a request', function () {
+		assert.deepStrictEqual( store.evaluate('fixed-window', KEY, [LIMIT, WINDOW, 3]), [3, WINDOW, 1] );
+		assert.deepStrictEqual( store.evaluate('fixed-window', KEY, [LIMIT, WINDOW, 3]), [3, WINDOW, 0] );
+
+		assert.deepStrictEqual( store.evaluate('sliding-log', `${KEY}:log`, [LIMIT, WINDOW, 4]), [4, WINDOW, 1] );
+		now += 100;
+		assert.deepStrictEqual( store.evaluate('sliding-log', `${KEY}:log`, [LIMIT, WINDOW, 1]), [5, WINDOW - 100, 1] );
+		// four requests have to leave the window, all logged at once
+		assert.deepStrictEqual( store.evaluate('sliding-log', `${KEY}:log`, [LIMIT, WINDOW, 4]), [5, WINDOW - 100, 0] );
+		assert.deepStrictEqual( store.evaluate('sliding-log', `${KEY}:log`, [LIMIT, WINDOW, LIMIT + 1]), [5, WINDOW, 0] );
+
+		assert.deepStrictEqual( store.evaluate('sliding-window', `${KEY}:weighted`, [LIMIT, WINDOW, LIMIT]).slice(0, 1), [LIMIT] );
+		assert.strictEqual( store.evaluate('sliding-window', `${KEY}:weighted`, [LIMIT, WINDOW, 1])[2], 0 );
+
+		assert.deepStrictEqual( store.evaluate('token-bucket', `${KEY}:bucket`, [3, 10, 2]), [2, 200, 1, 200] );
+		assert.deepStrictEqual( store.evaluate('token-bucket', `${KEY}:bucket`, [3, 10, 2]), [2, 100, 0, 200] );
+
+		assert.deepStrictEqual( store.evaluate('gcra', `${KEY}:gcra`, [10, WINDOW, 5, 3]), [3, 300, 1, 300] );
+		assert.deepStrictEqual( store.evaluate('gcra', `${KEY}:gcra`, [10, WINDOW, 5, 3]), [3, 100, 0, 300] );
+	});
+
+	it('should peek, force, give back and block requests', function () {
+		const args = (cost) => [[LIMIT, WINDOW, cost]];
+
+		assert.deepStrictEqual( store.evaluateAll('sliding-log', [KEY], args(1), { mode: 'peek' }), [[1, WINDOW, 1]] );
+		assert.strictEqual( store.entries.has(KEY), false );
+
+		assert.deepStrictEqual( store.evaluateAll('sliding-log', [KEY], args(LIMIT + 2), { mode: 'force' }), [[LIMIT + 2, WINDOW, 1]] );
+		assert.deepStrictEqual( store.evaluateAll('sliding-log', [KEY], args(1)), [[LIMIT + 2, WINDOW, 0]] );
+		assert.deepStrictEqual( store.evaluateAll('sliding-log', [KEY], args(-3), { mode: 'force' }), [[LIMIT - 1, WINDOW, 1]] );
+		assert.deepStrictEqual( store.evaluateAll('sliding-log', [KEY], args(1)), [[LIMIT, WINDOW, 1]] );
+
+		store.set(`${KEY}:block`, 1, 2);
+		now += 500;
+
+		// a blocked request isn't counted
+		assert.deepStrictEqual(
+			store.evaluateAll('sliding-log', [KEY], args(1), { blockKey: `${KEY}:block` }),
+			[[0, 1500, 0, 1500, 1]]
+		);
+		assert.strictEqual( store.entries.get(KEY).value.length, LIMIT );
+	});
+
+	it('should reset a key', function () {
+		store.evaluate('fixed-window', KEY, [LIMIT, WINDOW]);
+
+		assert.strictEqual(store.reset(KEY), true);
+		assert.strictEqual(store.reset(KEY), false);
+	});
+
+	it('should set, increment and expire a value', function () {
+		assert.strictEqual(store.set(KEY, 1, WINDOW / 1000), true);
+		assert.strictEqual(store.increment(KEY), 2);
+		assert.strictEqual(store.get(KEY), '2');
+		assert.strictEqual(store.ttl(KEY), WINDOW);
+
+		now += WINDOW;
+
+		assert.strictEqual(store.get(KEY), null);
+		assert.strictEqual(store.ttl(KEY), -2);
+
+		// like Redis, a new counter has no expiry
+		assert.strictEqual(store.increment(KEY), 1);
+		assert.strictEqual(store.ttl(KEY), -1);
+	});
+
+	it('should sweep expired entries', function () {
+		store.evaluate('fixed-window', KEY, [LIMIT, WINDOW]);
+		store.evaluate('fixed-window', `${KEY}:other`, [LIMIT, WINDOW * 10]);
+
+		now += WINDOW + MemoryStore.SWEEP_INTERVAL;
+
+		store.evaluate('fixed-window', `${KEY}:new`, [LIMIT, WINDOW]);
+
+		assert.strictEqual(store.entries.has(KEY), false);
+		assert.strictEqual(store.entries.has(`${KEY}:other`), true);
+	});
+
+	it('should find keys with a glob-style pattern', function () {
+		const store = new MemoryStore();
+
+		['ns:1.2.3.4', 'ns:1.2.3.4:get:/a', '{ns:1.2.3.4}:block', 'ns:a.b', 'ns:[x]'].forEach( (key) => store.set(key, 1, 60) );
+		store.set('ns:expired', 1, 0);
+
+		assert.deepStrictEqual( store.keys('ns:1.2.3.4*'), ['ns:1.2.3.4', 'ns:1.2.3.4:get:/a'] );
+		assert.deepStrictEqual( store.keys('{ns:?.2.3.4}:*'), ['{ns:1.2.3.4}:block'] );
+		assert.deepStrictEqual( store.keys('ns:[ab].b'), ['ns:a.b'] );
+		assert.deepStrictEqual( store.keys('ns:\\[x\\]'), ['ns:[x]'] );
+		assert.deepStrictEqual( store.keys('ns:exp*'), [] );
+	});
+
+	describe('RateLimitRedis with a MemoryStore', function () {
+
+		let limiter;
+
+		beforeEach(function () {
+			limiter = new RateLimitRedis({
+				store: store,
+				timeframe: WINDOW / 1000,
+				limit: LIMIT,
+			});
+		});
+
+		it('should not create a Redis client', function () {
+			assert.strictEqual(limiter.redisClient, undefined);
+			assert.strictEqual(limiter.store, store);
+		});
+
+		it('should rate limit until the window has passed', async function () {
+			let result;
+
+			try {
+				for (let i = 1; i <= LIMIT; i++) {
+					result = await limiter.process({ ip: '192.168.9.2' });
+					assert.strictEqual(result.status, 200);
+					assert.strictEqual(result.remaining, LIMIT - i);
+				}
+
+				result = await limiter.process({ ip: '192.168.9.2' });
+				assert.strictEqual(result.status, 429);
+				assert.strictEqual(result.retryMs, WINDOW);
+
+				now += WINDOW;
+
+				result = await limiter.process({ ip: '192.168.9.2' });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(result.status, 200);
+			assert.strictEqual(result.remaining, LIMIT - 1);
+		});
+
+		it('should count and reset with the helper methods', async function () {
+			const key = limiter.getKey('192.168.9.3');
+
+			try {
+				assert.strictEqual(await limiter.setNewRequestCount(key), true);
+				assert.strictEqual(await limiter.incrementRequestCount(key), 2);
+				assert.strictEqual(await limiter.getRequestCount(key), 2);
+				assert.strictEqual(await limiter.getTimeLeft(key), WINDOW);
+				assert.strictEqual(await limiter.reset(key), true);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+		});
+
+	});
+
+});
@@ -0,0 +1,105 @@
+import assert from 'assert';
+import { RateLimitRedis, MemoryStore, RateLimitMetrics } from '../lib/index.mjs';
+
+const TEST_IP = '192.168.17.1';
+
+describe('Rate Limit Metrics Test', function () {
+
+	let limiter, metrics;
+
+	beforeEach(function () {
+		limiter = new RateLimitRedis({
+			store: new MemoryStore(),
+			limit: 1,
+			timeframe: 60,
+			whitelist: ['10.0.0.0/8'],
+			customRoutes: [
+				{ path: '/search', method: 'get', name: 'search "beta"', limit: 5 },
+			],
+		});
+		metrics = new RateLimitMetrics({ buckets: [0.5, 0.001] }).attach(limiter);
+	});
+
+	it('should throw on invalid options', function () {
+		assert.throws( () => new RateLimitMetrics({ buckets: [] }), /Invalid buckets/ );
+		assert.throws( () => new RateLimitMetrics({ prefix: 'rate-limit' }), /Invalid prefix/ );
+	});
+
+	it('should count decisions by rule', async function () {
+		try {
+			await limiter.process({ ip: TEST_IP });
+			await limiter.process({ ip: TEST_IP });
+			await limiter.process({ ip: TEST_IP, url: '/search', method: 'get' });
+			await limiter.process({ ip: '10.0.0.1' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		const text = metrics.render();
+
+		assert.match(text, /^# TYPE rate_limit_decisions_total counter$/m);
+		assert.match(text, /^rate_limit_decisions_total\{decision="allowed",rule="default"\} 1$/m);
+		assert.match(text, /^rate_limit_decisions_total\{decision="limited",rule="default"\} 1$/m);
+		assert.match(text, /^rate_limit_decisions_total\{decision="allowed",rule="search \\"beta\\""\} 1$/m);
+		assert.match(text, /^rate_limit_decisions_total\{decision="whitelisted",rule=""\} 1$/m);
+		assert.match(text, /^rate_limit_degraded 0$/m);
+		assert.strictEqual(text.endsWith('\n'), true);
+	});
+
+	it('should observe the decision latency', async function () {
+		try {
+			await limiter.process({ ip: TEST_IP });
+			await limiter.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		const text = metrics.render();
+
+		assert.match(text, /^# TYPE rate_limit_decision_duration_seconds histogram$/m);
+		assert.match(text, /^rate_limit_decision_duration_seconds_bucket\{rule="default",le="0.5"\} 2$/m);
+		assert.match(text, /^rate_limit_decision_duration_seconds_bucket\{rule="default",le="\+Inf"\} 2$/m);
+		assert.match(text, /^rate_limit_decision_duration_seconds_count\{rule="default"\} 2$/m);
+		// buckets are sorted
+		assert.strictEqual( text.indexOf('le="0.001"') < text.indexOf('le="0.5"'), true );
+	});
+
+	it('should report degraded mode and Redis errors', function () {
+		limiter.emit('redisError', { error: new Error('ECONNREFUSED') });
+		limiter.emit('degraded', { error: new Error('ECONNREFUSED'), policy: 'fallback' });
+
+		assert.match(metrics.render(), /^rate_limit_redis_errors_total 1$/m);
+		assert.match(metrics.render(), /^rate_limit_degraded 1$/m);
+
+		limiter.emit('recovered');
+
+		assert.match(metrics.render(), /^rate_limit_degraded 0$/m);
+	});
+
+	it('should serve the metrics and stop collecting once detached', async function () {
+		const headers = {};
+		const res = {
+			setHeader: (name, value) => {
+				headers[name] = value;
+			},
+			end: (body) => {
+				res.body = body;
+			},
+		};
+
+		metrics.detach();
+
+		try {
+			await limiter.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		metrics.handler()({}, res);
+
+		assert.strictEqual(res.statusCode, 200);
+		assert.match(headers['Content-Type'], /^text\/plain; version=0.0.4/);
+		assert.strictEqual(res.body.includes('decision="allowed"'), false);
+	});
+
+});
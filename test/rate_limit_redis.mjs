@@ -219,7 +219,7 @@ describe('Rate Limit Redis Class Test', function () {
 			ip: TEST_IP,
 		};
 
-		for (let i = 1; i <= RATE_LIMIT; i++) {
+		for (let i = 1; i <= RATE_LIMIT + 1; i++) {
 			let response;
 
 			try {
@@ -234,7 +234,7 @@ describe('Rate Limit Redis Class Test', function () {
 			assert.strictEqual(response.limit, RATE_LIMIT);
 			assert.strictEqual(response.timeframe, TIMEFRAME_SEC);
 
-			if (i < RATE_LIMIT) {
+			if (i <= RATE_LIMIT) {
 				assert.strictEqual(response.status, 200);
 				assert.strictEqual(response.remaining, RATE_LIMIT - i);
 				assert.strictEqual('retry' in response, false);
@@ -318,7 +318,7 @@ describe('Rate Limit Redis Class Test', function () {
 			return Promise.reject(err);
 		}
 
-		for (let i = 1; i <= args.limit; i++) {
+		for (let i = 1; i <= args.limit + 1; i++) {
 			let response;
 
 			try {
@@ -334,7 +334,7 @@ describe('Rate Limit Redis Class Test', function () {
 			assert.strictEqual(response.timeframe, args.timeframe);
 			assert.strictEqual(response.limit, args.limit);
 
-			if (i < args.limit) {
+			if (i <= args.limit) {
 				assert.strictEqual(response.status, 200);
 				assert.strictEqual(response.remaining, args.limit - i);
 				assert.strictEqual('retry' in response, false);
@@ -367,7 +367,7 @@ describe('Rate Limit Redis Class Test', function () {
 			return Promise.reject(err);
 		}
 
-		for (let i = 1; i <= args.limit; i++) {
+		for (let i = 1; i <= args.limit + 1; i++) {
 			let response;
 
 			try {
@@ -383,7 +383,7 @@ describe('Rate Limit Redis Class Test', function () {
 			assert.strictEqual(response.timeframe, args.timeframe);
 			assert.strictEqual(response.limit, args.limit);
 
-			if (i < args.limit) {
+			if (i <= args.limit) {
 				assert.strictEqual(response.status, 200);
 				assert.strictEqual(response.remaining, args.limit - i);
 				assert.strictEqual('retry' in response, false);
@@ -418,7 +418,7 @@ describe('Rate Limit Redis Class Test', function () {
 			return Promise.reject(err);
 		}
 
-		for (let i = 1; i <= args.limit; i++) {
+		for (let i = 1; i <= args.limit + 1; i++) {
 			let response;
 
 			try {
@@ -434,7 +434,7 @@ describe('Rate Limit Redis Class Test', function () {
 			assert.strictEqual(response.timeframe, args.timeframe);
 			assert.strictEqual(response.limit, args.limit);
 
-			if (i < args.limit) {
+			if (i <= args.limit) {
 				assert.strictEqual(response.status, 200);
 				assert.strictEqual(response.remaining, args.limit - i);
 				assert.strictEqual('retry' in response, false);
@@ -481,4 +481,160 @@ describe('Rate Limit Redis Class Test', function () {
 			assert.strictEqual(response.status, 200);
 		}
 	});
+
+	it('should not let concurrent requests exceed the rate limit', async function () {
+		const ip = '192.168.0.3';
+		const key = rateLimitRedis.getKey(ip);
+
+		try {
+			await rateLimitRedis.reset(key);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		let responses;
+
+		try {
+			responses = await Promise.all(
+				Array.from({ length: RATE_LIMIT * 2 }, () =>
+					rateLimitRedis.process({ ip })
+				)
+			);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		const allowed = responses.filter((response) => response.status === 200);
+
+		assert.strictEqual(allowed.length, RATE_LIMIT);
+		assert.strictEqual(
+			await rateLimitRedis.getRequestCount(key),
+			RATE_LIMIT
+		);
+
+		await rateLimitRedis.reset(key);
+	});
+
+	it('should start a new window when a key has no expiry', async function () {
+		const ip = '192.168.0.4';
+		const key = rateLimitRedis.getKey(ip);
+
+		let result;
+
+		try {
+			await rateLimitRedis.redisClient.set(key, RATE_LIMIT);
+			result = await rateLimitRedis.process({ ip });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 200);
+		assert.strictEqual(result.remaining, RATE_LIMIT - 1);
+		assert.strictEqual(
+			(await rateLimitRedis.getTimeLeft(key)) <= TIMEFRAME_SEC * 1000,
+			true
+		);
+
+		await rateLimitRedis.reset(key);
+	});
+
+	it('should reload the script when Redis has flushed it', async function () {
+		const ip = '192.168.0.5';
+
+		let result;
+
+		try {
+			await rateLimitRedis.redisClient.scriptFlush();
+			result = await rateLimitRedis.process({ ip });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 200);
+		assert.strictEqual(result.remaining, RATE_LIMIT - 1);
+
+		await rateLimitRedis.reset(rateLimitRedis.getKey(ip));
+	});
+
+	it('should throw on an invalid key generator', function () {
+		assert.throws(
+			() => new RateLimitRedis({ keyGenerator: 'user' }),
+			/Invalid keyGenerator/
+		);
+	});
+
+	it('should identify clients with a fallback chain of key generators', async function () {
+		const limiter = new RateLimitRedis({
+			...options,
+			keyGenerator: [
+				(request) => request.user && request.user.id,
+				async (request) => request.headers && request.headers['x-api-key'],
+			],
+		});
+
+		try {
+			assert.strictEqual(
+				await limiter.getIdentity({ ip: TEST_IP, user: { id: 42 } }),
+				'42'
+			);
+			assert.strictEqual(
+				await limiter.getIdentity({
+					ip: TEST_IP,
+					headers: { 'x-api-key': 'abc' },
+				}),
+				'abc'
+			);
+			assert.strictEqual(await limiter.getIdentity({ ip: TEST_IP }), TEST_IP);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+	});
+
+	it('should rate limit by the generated key', async function () {
+		const limiter = new RateLimitRedis({
+			...options,
+			keyGenerator: (request) => request.headers['x-api-key'],
+			customRoutes: [
+				{
+					...options.customRoutes[0],
+					keyGenerator: async (request) => `user-${request.headers['x-user-id']}`,
+				},
+			],
+		});
+		const globalKey = limiter.getKey('my-api-key');
+		const customKey = limiter.getKey(
+			'user-7',
+			`post:${options.customRoutes[0].path}`
+		);
+
+		let result;
+
+		try {
+			await limiter.connect();
+			await limiter.reset(globalKey);
+			await limiter.reset(customKey);
+
+			result = await limiter.process({
+				ip: TEST_IP,
+				headers: { 'x-api-key': 'my-api-key' },
+			});
+			assert.strictEqual(result.status, 200);
+			assert.strictEqual(await limiter.getRequestCount(globalKey), 1);
+
+			result = await limiter.process({
+				ip: TEST_IP,
+				url: options.customRoutes[0].path,
+				method: 'post',
+				headers: { 'x-user-id': '7' },
+			});
+			assert.strictEqual(result.status, 200);
+			assert.strictEqual(await limiter.getRequestCount(customKey), 1);
+
+			await limiter.reset(globalKey);
+			await limiter.reset(customKey);
+			await limiter.disconnect();
+		} catch (err) {
+			return Promise.reject(err);
+		}
+	});
 });
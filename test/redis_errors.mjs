@@ -0,0 +1,418 @@
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import { RateLimitRedis } from '../lib/index.mjs';
+
+const TEST_IP = '192.168.8.1';
+const TIMEFRAME_SEC = 10;
+const RATE_LIMIT = 5;
+
+// stand-ins for a Redis client that is down or unresponsive
+function failingClient () {
+	return {
+		isOpen: true,
+		evalSha: () => Promise.reject( new Error('connect ECONNREFUSED 127.0.0.1:6379') ),
+		eval: () => Promise.reject( new Error('connect ECONNREFUSED 127.0.0.1:6379') ),
+	};
+}
+
+function hangingClient () {
+	return {
+		isOpen: true,
+		evalSha: () => new Promise( () => {} ),
+		eval: () => new Promise( () => {} ),
+	};
+}
+
+// a client whose availability can be switched, emitting node-redis' events
+function switchableClient () {
+	const client = new EventEmitter();
+
+	client.isOpen = true;
+	client.isReady = true;
+	client.calls = 0;
+	client.evalSha = () => {
+		client.calls++;
+		return client.isReady ?
+			Promise.resolve([1, TIMEFRAME_SEC * 1000, 1]) :
+			Promise.reject( new Error('The client is closed') );
+	};
+	client.connect = () => {
+		client.isOpen = true;
+		client.isReady = true;
+		client.emit('ready');
+		return Promise.resolve(client);
+	};
+	client.disconnect = () => {
+		client.isOpen = false;
+		client.isReady = false;
+		client.emit('end');
+		return Promise.resolve();
+	};
+
+	return client;
+}
+
+describe('Rate Limit Redis Error Policy Test', function () {
+
+	const options = {
+		timeframe: TIMEFRAME_SEC,
+		limit: RATE_LIMIT,
+	};
+
+	it('should throw on an invalid policy', function () {
+		assert.throws(
+			() => new RateLimitRedis({ ...options, redis: failingClient(), onRedisError: 'ajar' }),
+			/Invalid onRedisError/
+		);
+	});
+
+	it('should reject when no policy is set', async function () {
+		const limiter = new RateLimitRedis({ ...options, redis: failingClient() });
+
+		await assert.rejects( limiter.process({ ip: TEST_IP }), /ECONNREFUSED/ );
+	});
+
+	it('should fail open', async function () {
+		const limiter = new RateLimitRedis({
+			...options,
+			redis: failingClient(),
+			onRedisError: 'open',
+		});
+
+		let result;
+
+		try {
+			result = await limiter.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.deepStrictEqual(result, { status: 200, degraded: true });
+	});
+
+	it('should fail closed', async function () {
+		const limiter = new RateLimitRedis({
+			...options,
+			redis: failingClient(),
+			onRedisError: 'closed',
+		});
+
+		let result;
+
+		try {
+			result = await limiter.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 429);
+		assert.strictEqual(result.degraded, true);
+		assert.strictEqual(result.limit, RATE_LIMIT);
+		assert.strictEqual(result.remaining, 0);
+		assert.strictEqual(result.retry, TIMEFRAME_SEC);
+		assert.strictEqual(result.retryMs, TIMEFRAME_SEC * 1000);
+		assert.strictEqual(/ECONNREFUSED/.test(result.error.message), true);
+	});
+
+	it('should fail closed until a token or a GCRA interval is available', async function () {
+		const limiter = new RateLimitRedis({
+			...options,
+			redis: failingClient(),
+			onRedisError: 'closed',
+			customRoutes: [
+				{ path: '/bucket', algorithm: 'token-bucket', capacity: 10, refillRate: 0.5 },
+				{ path: '/gcra', algorithm: 'gcra', limit: 4, timeframe: 2 },
+			],
+		});
+
+		let bucket, gcra;
+
+		try {
+			bucket = await limiter.process({ ip: TEST_IP, url: '/bucket', method: 'get' });
+			gcra = await limiter.process({ ip: TEST_IP, url: '/gcra', method: 'get' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(bucket.status, 429);
+		assert.strictEqual(bucket.retry, 2);
+		assert.strictEqual(bucket.retryMs, 2000);
+		assert.strictEqual(gcra.retry, 1);
+		assert.strictEqual(gcra.retryMs, 500);
+	});
+
+	it('should let a function decide', async function () {
+		const limiter = new RateLimitRedis({
+			...options,
+			redis: failingClient(),
+			onRedisError: (err, request, result) => {
+				return { ...result, status: request.ip === TEST_IP ? 200 : 429 };
+			},
+		});
+
+		let allowed, denied;
+
+		try {
+			allowed = await limiter.process({ ip: TEST_IP });
+			denied = await limiter.process({ ip: '192.168.8.2' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(allowed.status, 200);
+		assert.strictEqual(allowed.limit, RATE_LIMIT);
+		assert.strictEqual(denied.status, 429);
+	});
+
+	it('should reject an invalid result of the policy', async function () {
+		const limiter = new RateLimitRedis({
+			...options,
+			redis: failingClient(),
+			onRedisError: () => undefined,
+		});
+
+		await assert.rejects( limiter.process({ ip: TEST_IP }), /Invalid onRedisError result: undefined/ );
+	});
+
+	it('should time out a hanging Redis operation', async function () {
+		const limiter = new RateLimitRedis({
+			...options,
+			redis: hangingClient(),
+			redisTimeout: 50,
+			onRedisError: 'open',
+		});
+
+		const started = Date.now();
+
+		let result;
+
+		try {
+			result = await limiter.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 200);
+		assert.strictEqual(result.degraded, true);
+		assert.strictEqual(Date.now() - started < 1000, true);
+	});
+
+	it('should emit an event when degraded', async function () {
+		const limiter = new RateLimitRedis({
+			...options,
+			redis: failingClient(),
+			onRedisError: 'open',
+		});
+
+		let event;
+
+		limiter.on('degraded', (data) => {
+			event = data;
+		});
+
+		try {
+			await limiter.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.ok(event);
+		assert.strictEqual(event.policy, 'open');
+		assert.strictEqual(event.request.ip, TEST_IP);
+		assert.strictEqual(/ECONNREFUSED/.test(event.error.message), true);
+	});
+
+	describe('In-Memory Fallback', function () {
+
+		it('should throw on an invalid amount of nodes', function () {
+			assert.throws(
+				() => new RateLimitRedis({ ...options, redis: failingClient(), fallback: { nodes: 0 } }),
+				/Invalid fallback nodes/
+			);
+		});
+
+		it('should rate limit in memory when Redis fails', async function () {
+			const limiter = new RateLimitRedis({
+				...options,
+				redis: failingClient(),
+				fallback: true,
+				onRedisError: 'open',
+			});
+
+			let result;
+
+			try {
+				for (let i = 1; i <= RATE_LIMIT + 1; i++) {
+					result = await limiter.process({ ip: TEST_IP });
+					assert.strictEqual(result.degraded, true);
+					assert.strictEqual(result.limit, RATE_LIMIT);
+					assert.strictEqual(result.remaining, Math.max(RATE_LIMIT - i, 0));
+				}
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(result.status, 429);
+			assert.strictEqual(result.retry > 0, true);
+		});
+
+		it('should divide limits by the expected amount of nodes', async function () {
+			const limiter = new RateLimitRedis({
+				...options,
+				redis: failingClient(),
+				fallback: { nodes: 2 },
+				customRoutes: [
+					{
+						path: '/bucket',
+						algorithm: 'token-bucket',
+						capacity: 10,
+						refillRate: 4,
+					},
+				],
+			});
+
+			let result, bucket;
+
+			try {
+				result = await limiter.process({ ip: TEST_IP });
+				bucket = await limiter.process({ ip: TEST_IP, url: '/bucket', method: 'get' });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(result.limit, Math.floor(RATE_LIMIT / 2));
+			assert.strictEqual(bucket.limit, 5);
+			assert.strictEqual(bucket.remaining, 4);
+		});
+
+		it('should switch to memory on disconnect and back once Redis is ready', async function () {
+			const client = switchableClient();
+			const limiter = new RateLimitRedis({
+				...options,
+				redis: client,
+				fallback: true,
+			});
+			const events = [];
+
+			limiter.on('degraded', (data) => events.push(`degraded:${data.policy}`) );
+			limiter.on('recovered', () => events.push('recovered') );
+
+			let result;
+
+			try {
+				result = await limiter.process({ ip: TEST_IP });
+				assert.strictEqual('degraded' in result, false);
+
+				client.isReady = false;
+				client.emit('end');
+
+				result = await limiter.process({ ip: TEST_IP });
+				assert.strictEqual(result.degraded, true);
+				// Redis isn't called while the client is down
+				assert.strictEqual(client.calls, 1);
+
+				client.isReady = true;
+				client.emit('ready');
+
+				result = await limiter.process({ ip: TEST_IP });
+				assert.strictEqual('degraded' in result, false);
+				assert.strictEqual(client.calls, 2);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.deepStrictEqual(events, ['degraded:fallback', 'recovered']);
+		});
+
+		it('should not fall back when disconnected on purpose', async function () {
+			const client = switchableClient();
+			const limiter = new RateLimitRedis({
+				...options,
+				redis: client,
+				fallback: true,
+			});
+			const events = [];
+
+			limiter.on('degraded', () => events.push('degraded') );
+
+			let result;
+
+			try {
+				await limiter.process({ ip: TEST_IP });
+				await limiter.disconnect();
+
+				// reconnected on demand
+				result = await limiter.process({ ip: TEST_IP });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual('degraded' in result, false);
+			assert.strictEqual(client.calls, 2);
+			assert.strictEqual(client.isOpen, true);
+			assert.deepStrictEqual(events, []);
+		});
+
+		it('should reconnect a closed client after the retry interval', async function () {
+			const client = switchableClient();
+			const limiter = new RateLimitRedis({
+				...options,
+				redis: client,
+				fallback: { retryInterval: 50 },
+			});
+
+			let result;
+
+			try {
+				client.isOpen = false;
+				client.isReady = false;
+				client.emit('end');
+
+				result = await limiter.process({ ip: TEST_IP });
+				assert.strictEqual(result.degraded, true);
+
+				await new Promise( (resolve) => setTimeout(resolve, 60) );
+
+				result = await limiter.process({ ip: TEST_IP });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual('degraded' in result, false);
+			assert.strictEqual(client.isOpen, true);
+			assert.strictEqual(client.calls, 1);
+		});
+
+		it('should retry Redis after the retry interval', async function () {
+			const client = switchableClient();
+			const limiter = new RateLimitRedis({
+				...options,
+				redis: client,
+				fallback: { retryInterval: 50 },
+			});
+
+			client.isReady = false;
+
+			let result;
+
+			try {
+				result = await limiter.process({ ip: TEST_IP });
+				assert.strictEqual(result.degraded, true);
+
+				client.isReady = true;
+
+				result = await limiter.process({ ip: TEST_IP });
+				assert.strictEqual(result.degraded, true);
+
+				await new Promise( (resolve) => setTimeout(resolve, 60) );
+
+				result = await limiter.process({ ip: TEST_IP });
+				assert.strictEqual('degraded' in result, false);
+			} catch (err) {
+				return Promise.reject(err);
+			}
+		});
+
+	});
+
+});
@@ -0,0 +1,150 @@
+import assert from 'assert';
+import { createClient } from 'redis';
+import Redis from 'ioredis';
+import { RateLimitRedis, RedisStore } from '../lib/index.mjs';
+
+const HOST = process.env.REDIS_HOST || 'localhost';
+const PORT = Number(process.env.REDIS_PORT || 6379);
+const TEST_IP = '192.168.10.1';
+const TIMEFRAME_SEC = 10;
+const RATE_LIMIT = 5;
+
+const clients = {
+	'node-redis': () => createClient({ url: `redis://${HOST}:${PORT}` }),
+	'ioredis': () => new Redis({ host: HOST, port: PORT, lazyConnect: true }),
+};
+
+describe('Redis Store Test', function () {
+
+	it('should throw on something that is not a Redis client', function () {
+		assert.throws( () => new RedisStore({}), /Invalid Redis client/ );
+	});
+
+	Object.keys(clients).forEach( (name) => {
+
+		describe(name, function () {
+
+			const key = `rate-limit-store:${name}`;
+
+			let store;
+
+			before(async function () {
+				store = new RedisStore( clients[name]() );
+				assert.strictEqual(store.ioredis, name === 'ioredis');
+				assert.strictEqual(store.isOpen, false);
+				return store.connect();
+			});
+
+			after(async function () {
+				await store.reset(key);
+				return store.disconnect();
+			});
+
+			it('should be open and ready', function () {
+				assert.strictEqual(store.isOpen, true);
+				assert.strictEqual(store.isReady, true);
+			});
+
+			it('should set, increment and expire a value', async function () {
+				try {
+					assert.strictEqual(await store.set(key, 1, TIMEFRAME_SEC), true);
+					assert.strictEqual(await store.increment(key), 2);
+					assert.strictEqual(await store.get(key), '2');
+				} catch (err) {
+					return Promise.reject(err);
+				}
+
+				const ttl = await store.ttl(key);
+
+				assert.strictEqual(ttl <= TIMEFRAME_SEC * 1000, true);
+				assert.strictEqual(ttl > TIMEFRAME_SEC * 1000 - 100, true);
+			});
+
+			it('should evaluate an algorithm', async function () {
+				let reply;
+
+				try {
+					await store.reset(key);
+					reply = await store.evaluate('fixed-window', key, [RATE_LIMIT, TIMEFRAME_SEC * 1000]);
+				} catch (err) {
+					return Promise.reject(err);
+				}
+
+				assert.strictEqual(reply[0], 1);
+				assert.strictEqual(reply[2], 1);
+			});
+
+			it('should reset a key', async function () {
+				assert.strictEqual(await store.reset(key), true);
+				assert.strictEqual(await store.reset(key), false);
+				assert.strictEqual(await store.get(key), null);
+				assert.strictEqual(await store.ttl(key), -2);
+			});
+
+			it('should report the errors of a subscription', async function () {
+				const errors = [];
+				const duplicate = store.client.duplicate;
+				let subscriber;
+
+				// keep the duplicate connection to make it fail
+				store.client.duplicate = function (...args) {
+					subscriber = duplicate.apply(this, args);
+					return subscriber;
+				};
+
+				try {
+					const unsubscribe = await store.subscribe(`${key}:channel`, () => {}, (err) => errors.push(err) );
+
+					subscriber.emit('error', new Error('Connection lost'));
+					await unsubscribe();
+				} catch (err) {
+					return Promise.reject(err);
+				} finally {
+					store.client.duplicate = duplicate;
+				}
+
+				assert.deepStrictEqual( errors.map( (err) => err.message ), ['Connection lost'] );
+			});
+
+		});
+
+	});
+
+	describe('RateLimitRedis with an ioredis client', function () {
+
+		const limiter = new RateLimitRedis({
+			redis: new Redis({ host: HOST, port: PORT, lazyConnect: true }),
+			timeframe: TIMEFRAME_SEC,
+			limit: RATE_LIMIT,
+		});
+
+		after(async function () {
+			await limiter.reset( limiter.getKey(TEST_IP) );
+			return limiter.disconnect();
+		});
+
+		it('should detect the client', function () {
+			assert.strictEqual(limiter.redisClient.status, 'wait');
+			assert.strictEqual(limiter.store.ioredis, true);
+		});
+
+		it('should connect and rate limit', async function () {
+			let result;
+
+			try {
+				for (let i = 1; i <= RATE_LIMIT; i++) {
+					result = await limiter.process({ ip: TEST_IP });
+					assert.strictEqual(result.status, 200);
+					assert.strictEqual(result.remaining, RATE_LIMIT - i);
+				}
+				result = await limiter.process({ ip: TEST_IP });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(result.status, 429);
+		});
+
+	});
+
+});
@@ -0,0 +1,96 @@
+import assert from 'assert';
+import { RateLimitRedis, MemoryStore } from '../lib/index.mjs';
+import { compileRoute, requestPath } from '../lib/routes.mjs';
+
+const TEST_IP = '192.168.15.1';
+
+describe('Routes Test', function () {
+
+	it('should strip the query string and trailing slash', function () {
+		assert.strictEqual( requestPath({ url: '/stingy/rate/limit?x=1' }), '/stingy/rate/limit' );
+		assert.strictEqual( requestPath({ url: '/users/42/#top' }), '/users/42' );
+		assert.strictEqual( requestPath({ originalUrl: '/?page=2' }), '/' );
+		assert.strictEqual( requestPath({}), undefined );
+	});
+
+	it('should throw on an invalid route', function () {
+		assert.throws( () => compileRoute({ path: '' }), /Invalid customRoutes path/ );
+		assert.throws( () => compileRoute({ path: '/', method: [] }), /Invalid customRoutes method/ );
+		assert.throws( () => compileRoute({ path: '/', method: ['get', 1] }), /Invalid customRoutes method/ );
+		assert.throws( () => new RateLimitRedis({ store: new MemoryStore(), customRoutes: [{ path: 5 }] }), /Invalid customRoutes path/ );
+	});
+
+	it('should match Express-style patterns', function () {
+		const { matches } = compileRoute({ path: '/users/:id/files/*' });
+
+		assert.strictEqual( matches('GET', '/users/42/files/a/b.txt'), true );
+		assert.strictEqual( matches('GET', '/users/42/files/'), true );
+		assert.strictEqual( matches('GET', '/users/42/photos/a'), false );
+		assert.strictEqual( matches('GET', '/users/files/a'), false );
+		assert.strictEqual( matches('POST', '/users/42/files/a'), false );
+
+		const optional = compileRoute({ path: '/posts/:year/:month?' });
+
+		assert.strictEqual( optional.matches('get', '/posts/2024'), true );
+		assert.strictEqual( optional.matches('get', '/posts/2024/05'), true );
+		assert.strictEqual( optional.matches('get', '/posts/2024/05/01'), false );
+
+		// only route parameters are special
+		assert.strictEqual( compileRoute({ path: '/a.b' }).matches('get', '/axb'), false );
+	});
+
+	it('should match a list of methods or any method', function () {
+		const write = compileRoute({ path: '/items', method: ['POST', 'PUT'] });
+		const any = compileRoute({ path: '/items', method: '*' });
+
+		assert.strictEqual( write.matches('put', '/items'), true );
+		assert.strictEqual( write.matches('GET', '/items'), false );
+		assert.strictEqual( write.name, 'post,put:/items' );
+
+		assert.strictEqual( any.matches('DELETE', '/items'), true );
+		assert.strictEqual( any.name, '*:/items' );
+	});
+
+	describe('RateLimitRedis', function () {
+
+		const rateLimitRedis = new RateLimitRedis({
+			store: new MemoryStore(),
+			limit: 10,
+			timeframe: 60,
+			customRoutes: [
+				{ path: '/users/:id', method: ['put', 'patch'], limit: 2 },
+				{ path: '/health', method: '*', ignore: true },
+			],
+		});
+
+		it('should share a bucket across the paths of a pattern', async function () {
+			let result;
+
+			try {
+				await rateLimitRedis.process({ ip: TEST_IP, url: '/users/1?fields=name', method: 'PUT' });
+				await rateLimitRedis.process({ ip: TEST_IP, url: '/users/2', method: 'PATCH' });
+				result = await rateLimitRedis.process({ ip: TEST_IP, url: '/users/3/', method: 'put' });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(result.status, 429);
+			assert.strictEqual(result.policy, 'put,patch:/users/:id');
+			assert.strictEqual( rateLimitRedis.store.entries.has( rateLimitRedis.getKey(TEST_IP, 'put,patch:/users/:id') ), true );
+		});
+
+		it('should ignore a route for any method and query', async function () {
+			let result;
+
+			try {
+				result = await rateLimitRedis.process({ ip: TEST_IP, url: '/health?probe=1', method: 'HEAD' });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.deepStrictEqual(result, { status: 200 });
+		});
+
+	});
+
+});
@@ -0,0 +1,160 @@
+import assert from 'assert';
+import { once } from 'events';
+import { RateLimitRedis, MemoryStore } from '../lib/index.mjs';
+
+const TEST_IP = '192.168.14.1';
+
+describe('Rate Limit Redis Dynamic Rules Test', function () {
+	const options = {
+		redis: {
+			uri: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`
+		},
+		namespace: 'rate-limit-rules',
+		timeframe: 60,
+		limit: 10,
+		rules: true,
+	};
+
+	// two nodes sharing the same rules
+	const writer = new RateLimitRedis(options);
+	const reader = new RateLimitRedis(options);
+
+	before(async function () {
+		await writer.connect();
+		await reader.connect();
+	});
+
+	after(async function () {
+		await writer.reset('rate-limit-rules:rules');
+		await writer.reset(writer.getKey(TEST_IP));
+		await writer.reset(writer.getKey(TEST_IP, 'post:/login'));
+		await writer.disconnect();
+		return reader.disconnect();
+	});
+
+	it('should throw when dynamic rules are not enabled', async function () {
+		const limiter = new RateLimitRedis({ store: new MemoryStore() });
+
+		await assert.rejects( limiter.setRules({ limit: 1 }), /not enabled/ );
+		await assert.rejects( limiter.loadRules(), /not enabled/ );
+	});
+
+	it('should apply rules set on another node', async function () {
+		let result;
+
+		try {
+			const applied = once(reader, 'rules');
+
+			await writer.setRules({
+				limit: 2,
+				whitelist: ['10.0.0.0/8'],
+				customRoutes: [
+					{ path: '/login', method: 'post', limit: 1, timeframe: 60 },
+				],
+			});
+
+			assert.deepStrictEqual( (await applied)[0].limit, 2 );
+			assert.strictEqual(reader.limit, 2);
+			assert.strictEqual(reader.timeframe, 60);
+
+			result = await reader.process({ ip: '10.1.1.1' });
+			assert.deepStrictEqual(result, { status: 200 });
+
+			await reader.process({ ip: TEST_IP, url: '/login', method: 'post' });
+			result = await reader.process({ ip: TEST_IP, url: '/login', method: 'post' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 429);
+		assert.strictEqual(result.limit, 1);
+	});
+
+	it('should reject invalid rules', async function () {
+		await assert.rejects( writer.setRules({ limit: -1 }), /Invalid limit/ );
+		await assert.rejects( writer.setRules({ maxRequests: 5 }), /unknown option maxRequests/ );
+		await assert.rejects( writer.setRules({ customRoutes: [{ method: 'get' }] }), /every route needs a path/ );
+		await assert.rejects( writer.setRules({ whitelist: ['10.0.0.0/99'] }), /Invalid IP range/ );
+
+		assert.strictEqual(writer.limit, 2);
+	});
+
+	it('should keep the last good rules when a bad update is published', async function () {
+		let error;
+
+		try {
+			const rejected = once(reader, 'rulesError');
+
+			await writer.store.set('rate-limit-rules:rules', '{"algorithm":"leaky"}');
+			await writer.store.publish('rate-limit-rules:rules', 'rate-limit-rules:rules');
+
+			[error] = await rejected;
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.match(error.message, /Unknown rate limit algorithm/);
+		assert.strictEqual(reader.algorithm, 'fixed-window');
+		assert.strictEqual(reader.limit, 2);
+	});
+
+	it('should restore the constructor options without stored rules', async function () {
+		try {
+			await writer.reset('rate-limit-rules:rules');
+			assert.strictEqual(await reader.loadRules(), true);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(reader.limit, 10);
+		assert.strictEqual(reader.customRoutes, undefined);
+	});
+
+	it('should switch algorithms without reading the state of another one', async function () {
+		let result;
+
+		try {
+			await writer.process({ ip: TEST_IP });
+
+			const applied = once(reader, 'rules');
+
+			await writer.setRules({ algorithm: 'sliding-log' });
+			await applied;
+
+			result = await reader.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(result.status, 200);
+		assert.strictEqual(result.degraded, undefined);
+		assert.strictEqual(result.remaining, 9);
+	});
+
+	describe('MemoryStore', function () {
+
+		it('should load the rules before the first request', async function () {
+			const store = new MemoryStore();
+			const limiter = new RateLimitRedis({ store, rules: { key: 'rules', channel: 'rules' } });
+
+			let result;
+
+			store.set('rules', JSON.stringify({ limit: 1 }));
+
+			try {
+				await limiter.process({ ip: TEST_IP });
+				result = await limiter.process({ ip: TEST_IP });
+			} catch (err) {
+				return Promise.reject(err);
+			}
+
+			assert.strictEqual(result.status, 429);
+
+			await new RateLimitRedis({ store, rules: { key: 'rules', channel: 'rules' } }).setRules({ limit: 5 });
+
+			assert.strictEqual(limiter.limit, 5);
+		});
+
+	});
+
+});
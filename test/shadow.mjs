@@ -0,0 +1,224 @@
+import assert from 'assert';
+import { RateLimitRedis, MemoryStore } from '../lib/index.mjs';
+import { getHeaders } from '../lib/headers.mjs';
+
+const TEST_IP = '192.168.20.1';
+
+describe('Rate Limit Redis Shadow Mode Test', function () {
+
+	it('should throw on an invalid mode', function () {
+		assert.throws( () => new RateLimitRedis({ store: new MemoryStore(), mode: 'dry-run' }), /Invalid mode/ );
+		assert.throws( () => new RateLimitRedis({
+			store: new MemoryStore(),
+			customRoutes: [{ path: '/', shadowHeaders: 'no' }],
+		}), /Invalid shadowHeaders/ );
+		assert.throws( () => new RateLimitRedis({ store: new MemoryStore(), shadow: { limit: 1, blockDuration: 60 } }), /Invalid shadow/ );
+		assert.throws( () => new RateLimitRedis({ store: new MemoryStore(), shadow: { limit: -1 } }), /Invalid limit/ );
+	});
+
+	it('should allow the requests of a shadow route it would limit', async function () {
+		const limiter = new RateLimitRedis({
+			store: new MemoryStore(),
+			limit: 1,
+			timeframe: 60,
+			customRoutes: [
+				{ path: '/search', method: 'get', name: 'search', limit: 2, mode: 'shadow' },
+			],
+		});
+		const request = { ip: TEST_IP, url: '/search?q=a', method: 'get' };
+		const events = [];
+		let first, third, enforced;
+
+		limiter.on('allowed', (event) => events.push(event) );
+
+		try {
+			first = await limiter.process(request);
+			await limiter.process(request);
+			third = await limiter.process(request);
+			await limiter.process({ ip: TEST_IP });
+			enforced = await limiter.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(first.status, 200);
+		assert.strictEqual(first.shadow, true);
+		assert.strictEqual(first.wouldLimit, undefined);
+
+		assert.strictEqual(third.status, 200);
+		assert.strictEqual(third.wouldLimit, true);
+		assert.strictEqual(third.remaining, 0);
+		assert.strictEqual(third.policy, 'search');
+		assert.strictEqual(third.error, undefined);
+
+		assert.deepStrictEqual( events.map( (event) => Boolean(event.wouldLimit) ), [false, false, true, false] );
+
+		// other rules are still enforced
+		assert.strictEqual(enforced.status, 429);
+		assert.strictEqual(enforced.shadow, undefined);
+	});
+
+	it('should trial a shadow limit alongside the enforced one', async function () {
+		const store = new MemoryStore();
+		const limiter = new RateLimitRedis({
+			store,
+			limit: 3,
+			timeframe: 60,
+			shadow: { limit: 1 },
+			customRoutes: [
+				{ path: '/search', method: 'get', name: 'search', limit: 2, shadow: { limit: 1, name: 'search-trial' } },
+				{ path: '/health', method: 'get', shadow: false },
+			],
+		});
+		const request = { ip: TEST_IP, url: '/search', method: 'get' };
+		const events = [];
+		let first, second, third, health;
+
+		limiter.on('allowed', (event) => events.push(['allowed', Boolean(event.wouldLimit)]) );
+		limiter.on('limited', () => events.push(['limited', true]) );
+
+		try {
+			first = await limiter.process(request);
+			second = await limiter.process(request);
+			third = await limiter.process(request);
+			await limiter.process({ ip: TEST_IP, url: '/health', method: 'get' });
+			health = await limiter.process({ ip: TEST_IP, url: '/health', method: 'get' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(first.status, 200);
+		assert.strictEqual(first.wouldLimit, undefined);
+		assert.strictEqual(first.shadow, undefined);
+		assert.strictEqual(first.shadowLimit.policy, 'search-trial');
+		assert.strictEqual(first.shadowLimit.limit, 1);
+		assert.strictEqual(first.shadowLimit.timeframe, 60);
+		assert.strictEqual(first.shadowLimit.remaining, 0);
+
+		// the enforced limit still applies
+		assert.strictEqual(second.status, 200);
+		assert.strictEqual(second.policy, 'search');
+		assert.strictEqual(second.remaining, 0);
+		assert.strictEqual(second.wouldLimit, true);
+		assert.strictEqual(third.status, 429);
+		assert.strictEqual(third.wouldLimit, true);
+
+		assert.strictEqual(health.status, 200);
+		assert.strictEqual(health.shadowLimit, undefined);
+
+		assert.deepStrictEqual(events, [
+			['allowed', false], ['allowed', true], ['limited', true], ['allowed', false], ['allowed', false],
+		]);
+		assert.strictEqual( store.get( limiter._windowKey(limiter.getKey(TEST_IP, 'get:/search'), 'fixed-window', null, true) ), '1' );
+	});
+
+	it('should trial a shadow limit of another algorithm without blocking', async function () {
+		const limiter = new RateLimitRedis({
+			store: new MemoryStore(),
+			limit: 2,
+			timeframe: 60,
+			blockDuration: 60,
+			shadow: { algorithm: 'sliding-window', limit: 1, name: 'sliding' },
+		});
+		let allowed, limited;
+
+		try {
+			await limiter.process({ ip: TEST_IP });
+			allowed = await limiter.process({ ip: TEST_IP });
+			limited = await limiter.process({ ip: TEST_IP });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(allowed.status, 200);
+		assert.strictEqual(allowed.wouldLimit, true);
+		assert.strictEqual(allowed.shadowLimit.policy, 'sliding');
+		assert.strictEqual(allowed.wouldBlock, undefined);
+
+		// blocked by the enforced limit only
+		assert.strictEqual(limited.status, 429);
+		assert.strictEqual(limited.blocked, true);
+	});
+
+	it('should report blocks and blacklisted requests in global shadow mode', async function () {
+		const store = new MemoryStore();
+		const limiter = new RateLimitRedis({
+			store,
+			limit: 1,
+			timeframe: 60,
+			blockDuration: 60,
+			blacklist: ['203.0.113.0/24'],
+			mode: 'shadow',
+		});
+		const blocked = [];
+		let limited, again, blacklisted;
+
+		limiter.on('blocked', (event) => blocked.push(event) );
+
+		try {
+			await limiter.process({ ip: TEST_IP });
+			limited = await limiter.process({ ip: TEST_IP });
+			again = await limiter.process({ ip: TEST_IP });
+			blacklisted = await limiter.process({ ip: '203.0.113.9' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(limited.status, 200);
+		assert.strictEqual(limited.wouldLimit, true);
+		assert.strictEqual(limited.wouldBlock, true);
+
+		// nothing is blocked, so the requests are still evaluated
+		assert.strictEqual(again.status, 200);
+		assert.strictEqual(again.blocked, undefined);
+		assert.strictEqual(again.wouldBlock, true);
+		assert.deepStrictEqual(store.keys('*'), [limiter.getKey(TEST_IP)]);
+
+		assert.strictEqual(blacklisted.status, 200);
+		assert.strictEqual(blacklisted.blacklisted, true);
+		assert.strictEqual(blacklisted.wouldLimit, true);
+		assert.deepStrictEqual(blocked, []);
+	});
+
+	it('should shadow consume() but not peeks', async function () {
+		const limiter = new RateLimitRedis({ store: new MemoryStore() });
+		let consumed, peeked;
+
+		try {
+			await limiter.consume('export', { limit: 1, mode: 'shadow' });
+			consumed = await limiter.consume('export', { limit: 1, mode: 'shadow' });
+			peeked = await limiter.get('export', { limit: 1, mode: 'shadow' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.strictEqual(consumed.status, 200);
+		assert.strictEqual(consumed.wouldLimit, true);
+		assert.strictEqual(peeked.status, 429);
+		assert.strictEqual(peeked.shadow, undefined);
+	});
+
+	it('should optionally suppress headers', async function () {
+		const limiter = new RateLimitRedis({
+			store: new MemoryStore(),
+			limit: 1,
+			mode: 'shadow',
+			customRoutes: [
+				{ path: '/quiet', shadowHeaders: false },
+			],
+		});
+		let loud, quiet;
+
+		try {
+			await limiter.process({ ip: TEST_IP });
+			loud = await limiter.process({ ip: TEST_IP });
+			quiet = await limiter.process({ ip: TEST_IP, url: '/quiet', method: 'get' });
+		} catch (err) {
+			return Promise.reject(err);
+		}
+
+		assert.deepStrictEqual( getHeaders(loud), { 'X-RateLimit-Limit': '1', 'X-RateLimit-Remaining': '0' } );
+		assert.deepStrictEqual( getHeaders(quiet, 'draft-8'), {} );
+	});
+
+});